@@ -0,0 +1,738 @@
+/**
+ * Cox proportional-hazards scoring engine, independent of the page.
+ *
+ * The functions here take plain objects and never touch the DOM, so the same file is loaded
+ * by index.html (where they become globals) and can be required from Node:
+ *
+ *     const fs = require('fs');
+ *     const { createCoxModelFromCSV } = require('./cox-model.js');
+ *     const model = createCoxModelFromCSV({
+ *         coefficients: fs.readFileSync('coefficients.csv', 'utf8'),
+ *         baselineSurvivals: fs.readFileSync('baseline_survivals.csv', 'utf8'),
+ *         panelScalerParams: fs.readFileSync('PANEL_scaler_params.csv', 'utf8'),
+ *         percentiles: fs.readFileSync('percentiles.csv', 'utf8')
+ *     });
+ *     const result = model.predict({ age: 55, 'male_1.0': 1, ethnicity: 0, prs: 50, ... }, 'cad', 10);
+ *
+ * A patient object is keyed by the variable IDs of coefficients.csv. Binary variables are 0/1,
+ * `townsend`, `prs`, `metscore` and `proscore` are population percentiles (1-100, fractions are
+ * interpolated), and ethnicity is either an `ethnicity` code (0 White, 1 Asian, 2 Black, 3 Others) or
+ * the one-hot `ethnicity_*` columns. A measured score can be given instead of its percentile as
+ * `rawScores: { prs: { value: 0.42 } }`; every outcome then uses the value as is and places it in its own
+ * distribution in percentiles.csv, warning when it lies beyond the tabulated range.
+ *
+ * Which variables are z-scored, mapped from percentiles or one-hot encoded is given by `encodings`
+ * (see DEFAULT_ENCODINGS); pass `encodingsFromManifest(manifest)` to take them from model_manifest.json.
+ *
+ * test/cox-model.test.js checks the predictions against reference values, and test/calibration.test.js the
+ * calibration file checks and risk stratification against a synthetic fixture (`node --test test/`).
+ */
+
+// Variables z-scored with PANEL_scaler_params.csv before entering the linear predictor
+const SCALED_VARIABLES = [
+    'age', 'sbp', 'dbp', 'height', 'weight', 'waist_cir', 'waist_hip_ratio',
+    'bmi', 'baso', 'eos', 'hct', 'hb', 'lc', 'mc', 'nc', 'plt', 'wbc'
+];
+
+// Variables entered as percentiles and mapped to outcome-specific scores with percentiles.csv
+const PERCENTILE_VARIABLES = ['townsend', 'prs', 'metscore', 'proscore'];
+
+// One-hot ethnicity columns; White (code 0) is the reference level
+const ETHNICITY_VARIABLES = ['ethnicity_1.0', 'ethnicity_2.0', 'ethnicity_3.0'];
+
+// Variables entered as 0/1 exactly as given
+const BINARY_VARIABLES = [
+    'male_1.0', 'current_smoking_1.0', 'daily_drinking_1.0', 'healthy_sleep_1.0', 'physical_act_1.0',
+    'healthy_diet_1.0', 'social_active_1.0', 'family_heart_hist_1.0', 'family_stroke_hist_1.0',
+    'family_hypt_hist_1.0', 'family_diab_hist_1.0', 'diab_hist_1.0', 'hypt_hist_1.0', 'lipidlower_1.0', 'antihypt_1.0'
+];
+
+// Encodings of the shipped model. `categorical` maps each coded variable to its one-hot column per code;
+// codes without a column are the reference level.
+const DEFAULT_ENCODINGS = {
+    scaled: SCALED_VARIABLES,
+    percentile: PERCENTILE_VARIABLES,
+    binary: BINARY_VARIABLES,
+    categorical: {
+        ethnicity: { 1: 'ethnicity_1.0', 2: 'ethnicity_2.0', 3: 'ethnicity_3.0' }
+    }
+};
+
+/**
+ * Splits CSV text into records following RFC 4180: quoted fields may hold commas, line breaks and
+ * doubled quotes, and lines may end in CRLF, LF or CR. A leading byte order mark and blank lines are ignored.
+ * @param {string} text The raw CSV content.
+ * @returns {{records: Array<{line: number, fields: Array<string>}>, problems: Array<{line: number, message: string}>}}
+ *   Each record with the line it starts on, and any syntax problems found.
+ */
+function parseCSVRecords(text) {
+    const records = [];
+    const problems = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        fields.push(quoted ? field : field.trim());
+        field = '';
+        quoted = false;
+    };
+    const endRecord = () => {
+        endField();
+        if (fields.length > 1 || fields[0] !== '') records.push({ line: recordLine, fields });
+        fields = [];
+    };
+
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (char === '"' && field.trim() === '' && !quoted) {
+            // Opening quote: read up to the closing quote, keeping doubled quotes as one
+            const start = line;
+            let closed = false;
+            field = '';
+            for (i++; i < input.length; i++) {
+                if (input[i] === '"') {
+                    if (input[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        closed = true;
+                        break;
+                    }
+                } else {
+                    if (input[i] === '\n' || (input[i] === '\r' && input[i + 1] !== '\n')) line++;
+                    field += input[i];
+                }
+            }
+            if (!closed) problems.push({ line: start, message: 'A quoted field is never closed.' });
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else if (quoted) {
+            if (char.trim() !== '') {
+                problems.push({ line, message: `Unexpected text after a closing quote: "${char}".` });
+            }
+        } else {
+            field += char;
+        }
+    }
+    endRecord();
+    return { records, problems };
+}
+
+/**
+ * Parses CSV text into row objects keyed by the header line, reporting rows whose field count differs
+ * from the header. Fields missing from a short row are read as empty.
+ * @param {string} text The raw CSV content.
+ * @returns {{header: Array<string>, rows: Array<Object>, lines: Array<number>, problems: Array<{line: number, message: string}>}}
+ *   The column names, one object per data row, the line each row starts on, and any problems found.
+ */
+function parseCSVTable(text) {
+    const { records, problems } = parseCSVRecords(text);
+    if (records.length === 0) {
+        return { header: [], rows: [], lines: [], problems: [...problems, { line: 1, message: 'The file is empty.' }] };
+    }
+    const header = records[0].fields;
+    const rows = [];
+    const lines = [];
+    records.slice(1).forEach(({ line, fields }) => {
+        if (fields.length !== header.length) {
+            problems.push({ line, message: `Expected ${header.length} fields as in the header, found ${fields.length}.` });
+        }
+        rows.push(header.reduce((obj, nextKey, index) => {
+            obj[nextKey] = index < fields.length ? fields[index] : '';
+            return obj;
+        }, {}));
+        lines.push(line);
+    });
+    return { header, rows, lines, problems };
+}
+
+/**
+ * Parses CSV text into an array of row objects keyed by the header line.
+ * @param {string} text The raw CSV content.
+ * @returns {Array<Object>} One object per data line.
+ */
+function parseCSVText(text) {
+    return parseCSVTable(text).rows;
+}
+
+// --- Schema checks of the data files ---
+
+// Percentile columns percentiles.csv must fill; p100 is optional
+const REQUIRED_PERCENTILE_COLUMNS = Array.from({ length: 99 }, (_, i) => `p${i + 1}`);
+
+// Expected shape of each data file, keyed like the manifest's `files`. `numeric` lists the columns whose
+// non-blank values must be numbers, or picks them from the header; `nonBlank` lists the columns that must be filled.
+const CSV_SCHEMAS = {
+    coefficients: { required: ['Variable'], numeric: header => header.slice(1), nonBlank: ['Variable'] },
+    baselineSurvivals: { required: ['Time'], numeric: header => header, nonBlank: ['Time'], check: checkBaselineSurvivals },
+    panelScalerParams: { required: ['feature', 'mean', 'variance'], numeric: ['mean', 'variance'], nonBlank: ['feature', 'mean', 'variance'] },
+    percentiles: {
+        required: ['score', 'outcome', ...REQUIRED_PERCENTILE_COLUMNS],
+        numeric: header => header.filter(column => /^p\d+$/.test(column)),
+        nonBlank: ['score', 'outcome', ...REQUIRED_PERCENTILE_COLUMNS]
+    },
+    inputRanges: {
+        required: ['feature', 'unit', 'plausible_min', 'plausible_max', 'supported_min', 'supported_max'],
+        numeric: ['plausible_min', 'plausible_max', 'supported_min', 'supported_max'],
+        nonBlank: ['feature', 'plausible_min', 'plausible_max']
+    },
+    cIndex: {
+        required: ['outcome', 'baseline_model', 'comparison_model', 'metric', 'point_estimate', 'ci_lower', 'ci_upper'],
+        numeric: ['n_samples', 'point_estimate', 'ci_lower', 'ci_upper'],
+        nonBlank: ['outcome', 'comparison_model', 'metric', 'point_estimate']
+    },
+    // Optional (the manifest's `files.calibration`): patients of each outcome binned by predicted 10-year risk,
+    // with `model` named like `comparison_model` in the C-index file
+    calibration: {
+        required: ['outcome', 'model', 'bin', 'n', 'predicted_risk', 'observed_risk'],
+        numeric: ['bin', 'n', 'predicted_risk', 'observed_risk', 'observed_ci_lower', 'observed_ci_upper'],
+        nonBlank: ['outcome', 'model', 'bin', 'n', 'predicted_risk', 'observed_risk'],
+        check: checkCalibrationBins
+    }
+};
+
+/**
+ * Checks that every outcome's baseline survival is a proper step function: one value per time and
+ * never increasing with time. The shipped file appends extra time points per outcome after the
+ * shared ones, so the order is checked per outcome after sorting by `Time`.
+ * @param {{header: Array<string>, rows: Array<Object>, lines: Array<number>}} table The parsed baseline_survivals.csv.
+ * @returns {Array<{line: number, message: string}>}
+ */
+function checkBaselineSurvivals({ header, rows, lines }) {
+    const problems = [];
+    header.filter(column => column !== 'Time').forEach(outcome => {
+        const points = rows
+            .map((row, index) => ({ time: Number(row.Time), survival: Number(row[outcome]), line: lines[index], blank: row[outcome] === '' }))
+            .filter(point => !point.blank && isFinite(point.time) && isFinite(point.survival))
+            .sort((a, b) => a.time - b.time);
+        for (let i = 1; i < points.length; i++) {
+            const [previous, point] = [points[i - 1], points[i]];
+            if (point.time === previous.time) {
+                problems.push({ line: point.line, message: `Time ${point.time} is listed twice for "${outcome}" (also on line ${previous.line}).` });
+            } else if (point.survival > previous.survival) {
+                problems.push({ line: point.line, message: `The "${outcome}" survival rises from ${previous.survival} to ${point.survival} at time ${point.time}; it must not increase with time.` });
+            }
+        }
+        points.filter(point => point.survival < 0 || point.survival > 1).forEach(point => {
+            problems.push({ line: point.line, message: `The "${outcome}" survival ${point.survival} is not between 0 and 1.` });
+        });
+    });
+    return problems;
+}
+
+/**
+ * Checks the bins of the calibration file: each outcome and model lists a bin once, patient counts are
+ * not negative, and the predicted and observed risks (with the optional observed interval) are fractions.
+ * @param {{rows: Array<Object>, lines: Array<number>}} table The parsed calibration file.
+ * @returns {Array<{line: number, message: string}>}
+ */
+function checkCalibrationBins({ rows, lines }) {
+    const problems = [];
+    const seen = {};
+    rows.forEach((row, index) => {
+        const line = lines[index];
+        const key = `${row.outcome}|${row.model}|${Number(row.bin)}`;
+        if (seen[key]) {
+            problems.push({ line, message: `Bin ${row.bin} of "${row.model}" for "${row.outcome}" is listed twice (also on line ${seen[key]}).` });
+        }
+        seen[key] = line;
+        if (Number(row.n) < 0) problems.push({ line, message: `The patient count ${row.n} is negative.` });
+        ['predicted_risk', 'observed_risk', 'observed_ci_lower', 'observed_ci_upper']
+            .filter(column => row[column] !== undefined && row[column] !== '' && (Number(row[column]) < 0 || Number(row[column]) > 1))
+            .forEach(column => problems.push({ line, message: `Column "${column}" holds ${row[column]}, which is not between 0 and 1.` }));
+    });
+    return problems;
+}
+
+/**
+ * Checks a parsed data file against its schema in CSV_SCHEMAS.
+ * @param {string} kind The file's key in CSV_SCHEMAS, e.g. 'coefficients'.
+ * @param {{header: Array<string>, rows: Array<Object>, lines: Array<number>}} table The output of parseCSVTable.
+ * @returns {Array<{line: (number|undefined), message: string}>} The problems found; empty if the file is valid.
+ */
+function validateCSVTable(kind, table) {
+    const schema = CSV_SCHEMAS[kind];
+    if (!schema) return [];
+    const missingColumns = schema.required.filter(column => !table.header.includes(column));
+    if (missingColumns.length > 0) {
+        return [{ line: 1, message: `Required column(s) missing from the header: ${missingColumns.join(', ')}.` }];
+    }
+    const problems = [];
+    const numericColumns = typeof schema.numeric === 'function'
+        ? schema.numeric(table.header)
+        : schema.numeric.filter(column => table.header.includes(column));
+    if (table.rows.length === 0) problems.push({ line: 1, message: 'The file has no data rows.' });
+    table.rows.forEach((row, index) => {
+        const line = table.lines[index];
+        schema.nonBlank.filter(column => row[column] === '').forEach(column => {
+            problems.push({ line, message: `Column "${column}" is empty.` });
+        });
+        numericColumns.filter(column => row[column] !== '' && !isFinite(Number(row[column]))).forEach(column => {
+            problems.push({ line, message: `Column "${column}" holds "${row[column]}", which is not a number.` });
+        });
+    });
+    if (schema.check && problems.length === 0) problems.push(...schema.check(table));
+    return problems;
+}
+
+/**
+ * Checks that the model files fit together: every variable with a coefficient must be scaled with
+ * PANEL_scaler_params.csv, mapped through percentiles.csv, or be a binary or one-hot column of `encodings`.
+ * @param {Object} tables The parsed rows, keyed like the tables of createCoxModel.
+ * @param {Object} [encodings] How variables enter the model; defaults to DEFAULT_ENCODINGS.
+ * @returns {Array<{file: string, message: string}>} The problems found, with the table each concerns.
+ */
+function validateModelTables({ coefficients, panelScalerParams, percentiles }, encodings = DEFAULT_ENCODINGS) {
+    const problems = [];
+    const featureColumnName = Object.keys(coefficients[0] || {})[0];
+    const outcomes = Object.keys(coefficients[0] || {}).filter(key => key !== featureColumnName);
+    const scaled = new Set(panelScalerParams.filter(p => Number(p.variance) > 0).map(p => p.feature));
+    const oneHotColumns = Object.values(encodings.categorical || {}).flatMap(columns => Object.values(columns));
+
+    coefficients.forEach(row => {
+        const variable = row[featureColumnName];
+        if (encodings.scaled.includes(variable)) {
+            if (!scaled.has(variable)) {
+                problems.push({ file: 'panelScalerParams', message: `"${variable}" is a scaled variable but has no row with a positive variance.` });
+            }
+        } else if (encodings.percentile.includes(variable)) {
+            outcomes.filter(outcome => row[outcome] !== '').forEach(outcome => {
+                if (!percentiles.some(p => p.score === variable && p.outcome === outcome)) {
+                    problems.push({ file: 'percentiles', message: `No percentiles of "${variable}" are given for outcome "${outcome}".` });
+                }
+            });
+        } else if (!(encodings.binary || []).includes(variable) && !oneHotColumns.includes(variable)) {
+            problems.push({ file: 'coefficients', message: `"${variable}" has a coefficient but neither a scaler nor an encoding.` });
+        }
+    });
+    return problems;
+}
+
+/**
+ * Turns the rows of percentiles.csv into a nested lookup: map[outcome][score][percentile] = value.
+ * @param {Array<Object>} percentileRows The parsed percentiles.csv.
+ * @returns {Object} The nested lookup.
+ */
+function buildPercentileMap(percentileRows) {
+    const map = {};
+    percentileRows.forEach(row => {
+        const { outcome, score, ...percentileValues } = row;
+        if (!map[outcome]) map[outcome] = {};
+        if (!map[outcome][score]) map[outcome][score] = {};
+
+        for (const pKey in percentileValues) {
+            if (pKey.startsWith('p')) {
+                map[outcome][score][pKey.substring(1)] = parseFloat(percentileValues[pKey]);
+            }
+        }
+    });
+    return map;
+}
+
+/**
+ * Derives the encodings of a model from the `variables` of model_manifest.json.
+ * @param {Object} manifest The parsed manifest.
+ * @returns {{scaled: Array<string>, percentile: Array<string>, binary: Array<string>, categorical: Object}} Encodings in the shape of DEFAULT_ENCODINGS.
+ */
+function encodingsFromManifest(manifest) {
+    const variables = manifest.variables.filter(v => !v.auxiliary);
+    return {
+        scaled: variables.filter(v => v.type === 'continuous' && v.scaled).map(v => v.id),
+        percentile: variables.filter(v => v.type === 'percentile').map(v => v.id),
+        binary: variables.filter(v => v.type === 'binary').map(v => v.id),
+        categorical: Object.fromEntries(variables
+            .filter(v => v.type === 'categorical')
+            .map(v => [v.id, Object.fromEntries(v.levels.filter(l => l.column).map(l => [l.value, l.column]))]))
+    };
+}
+
+/**
+ * Replaces a coded categorical variable with its one-hot columns.
+ * @param {Object} patient Patient data, modified in place.
+ * @param {string} variable The coded variable, e.g. 'ethnicity'.
+ * @param {Object} columns The one-hot column of each non-reference code.
+ */
+function encodeCategorical(patient, variable, columns) {
+    const code = patient[variable];
+    Object.values(columns).forEach(column => { patient[column] = 0; });
+    if (columns[code]) patient[columns[code]] = 1;
+    delete patient[variable];
+}
+
+/**
+ * Replaces the 0-3 `ethnicity` code with the model's one-hot columns (White is the reference level).
+ * @param {Object} patient Patient data, modified in place.
+ */
+function encodeEthnicity(patient) {
+    encodeCategorical(patient, 'ethnicity', DEFAULT_ENCODINGS.categorical.ethnicity);
+}
+
+/**
+ * Builds a scoring engine from the parsed model tables.
+ * @param {Object} tables The parsed CSV rows.
+ * @param {Array<Object>} tables.coefficients coefficients.csv: one row per variable, one column per outcome.
+ * @param {Array<Object>} tables.baselineSurvivals baseline_survivals.csv: a `Time` column and one S0(t) column per outcome.
+ * @param {Array<Object>} tables.panelScalerParams PANEL_scaler_params.csv: `feature`, `mean` and `variance`.
+ * @param {Array<Object>} tables.percentiles percentiles.csv: `score`, `outcome` and `p1`..`p100`.
+ * @param {Object} [tables.encodings] How variables enter the model; defaults to DEFAULT_ENCODINGS.
+ * @returns {Object} The engine; see the methods below.
+ */
+function createCoxModel({ coefficients, baselineSurvivals, panelScalerParams, percentiles, encodings = DEFAULT_ENCODINGS }) {
+    const featureColumnName = Object.keys(coefficients[0])[0];
+    const outcomes = Object.keys(coefficients[0]).filter(key => key !== featureColumnName);
+    const percentileMap = buildPercentileMap(percentiles);
+    const scalerParams = Object.fromEntries(panelScalerParams.map(p => [p.feature, {
+        mean: parseFloat(p.mean),
+        std: Math.sqrt(parseFloat(p.variance))
+    }]));
+    const survivalCurves = {};
+
+    /**
+     * Lists the variables with a coefficient for an outcome, in coefficients.csv order.
+     * @param {string} [outcome] An outcome code; when omitted, every variable in the file.
+     * @returns {Array<{variable: string, coefficient: number}>}
+     */
+    function getCoefficients(outcome) {
+        return coefficients
+            .map(row => ({
+                variable: row[featureColumnName],
+                coefficient: outcome ? parseFloat(row[outcome]) : 0
+            }))
+            .filter(c => c.variable && !isNaN(c.coefficient));
+    }
+
+    /**
+     * Extracts the baseline survival step function S0(t) of one outcome, sorted by time.
+     * @param {string} outcome The outcome code.
+     * @returns {Array<{time: number, survival: number}>} An empty array if the outcome has no column.
+     */
+    function getBaselineSurvivalCurve(outcome) {
+        if (!survivalCurves[outcome]) {
+            survivalCurves[outcome] = baselineSurvivals
+                .map(row => ({
+                    time: parseFloat(row.Time),
+                    survival: parseFloat(row[outcome])
+                }))
+                .filter(point => !isNaN(point.survival) && !isNaN(point.time))
+                .sort((a, b) => a.time - b.time);
+        }
+        return survivalCurves[outcome];
+    }
+
+    /**
+     * Reads S0(t), the survival of the last step at or before the target time.
+     * @param {string} outcome The outcome code.
+     * @param {number} horizon The time in years.
+     * @returns {number|null} The baseline survival, or null if no step precedes the horizon.
+     */
+    function getBaselineSurvivalAt(outcome, horizon) {
+        const curve = getBaselineSurvivalCurve(outcome);
+        let survival = null;
+        for (const point of curve) {
+            if (point.time > horizon) break;
+            survival = point.survival;
+        }
+        return survival;
+    }
+
+    /**
+     * Maps a percentile (1-100) of a score to its outcome-specific value, interpolating linearly
+     * between the tabulated whole percentiles.
+     * @param {string} outcome The outcome code.
+     * @param {string} score One of the percentile-encoded variables.
+     * @param {number} percentile The population percentile.
+     * @returns {number|undefined} The score value, or undefined if it is not tabulated.
+     */
+    function percentileToScore(outcome, score, percentile) {
+        const table = percentileMap[outcome]?.[score];
+        if (!table) return undefined;
+        const lower = Math.floor(percentile);
+        const fraction = percentile - lower;
+        if (fraction === 0) return table[lower];
+        if (table[lower] === undefined || table[lower + 1] === undefined) return undefined;
+        return table[lower] + fraction * (table[lower + 1] - table[lower]);
+    }
+
+    /**
+     * Finds the population percentile of a raw score value, interpolating linearly between the
+     * tabulated percentiles. Values beyond the table are reported at its ends.
+     * @param {string} outcome The outcome code.
+     * @param {string} score One of the percentile-encoded variables.
+     * @param {number} value The raw score.
+     * @returns {{percentile: number, outOfRange: (string|null)}|undefined} The percentile (1-100) and
+     *   'below' or 'above' when the value lies outside the tabulated range; undefined if the score is not tabulated.
+     */
+    function scoreToPercentile(outcome, score, value) {
+        const table = percentileMap[outcome]?.[score];
+        if (!table) return undefined;
+        const points = Object.keys(table)
+            .map(p => ({ percentile: Number(p), score: table[p] }))
+            .filter(point => !isNaN(point.score))
+            .sort((a, b) => a.percentile - b.percentile);
+        if (points.length === 0) return undefined;
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (value < first.score) return { percentile: first.percentile, outOfRange: 'below' };
+        if (value > last.score) return { percentile: last.percentile, outOfRange: 'above' };
+        for (let i = 1; i < points.length; i++) {
+            const lower = points[i - 1];
+            const upper = points[i];
+            if (value <= upper.score) {
+                const span = upper.score - lower.score;
+                const fraction = span > 0 ? (value - lower.score) / span : 0;
+                return { percentile: lower.percentile + fraction * (upper.percentile - lower.percentile), outOfRange: null };
+            }
+        }
+        return { percentile: last.percentile, outOfRange: null };
+    }
+
+    /**
+     * Replaces every coded categorical variable present in the patient with its one-hot columns.
+     * @param {Object} patient Patient data, modified in place.
+     */
+    function encodePatient(patient) {
+        Object.entries(encodings.categorical).forEach(([variable, columns]) => {
+            if (patient[variable] !== undefined) encodeCategorical(patient, variable, columns);
+        });
+    }
+
+    /**
+     * Predicts the risk of one outcome by the horizon as 1 - S0(t)^exp(LP).
+     * Lookup and input problems are reported in `errors` instead of being thrown; when there are any,
+     * `risk`, `linearPredictor` and `hazardRatio` are null.
+     * @param {Object} patient The patient; see the file header for the expected keys.
+     * @param {string} outcome The outcome code (e.g. 'cad').
+     * @param {number} horizon The prediction horizon in years.
+     * @returns {{outcome: string, horizon: number, risk: number|null, linearPredictor: number|null, hazardRatio: number|null,
+     *   baselineSurvival: number|null, contributions: Array<{variable: string, input: number, coefficient: number, contribution: number}>,
+     *   errors: Array<{code: string, variable: (string|null), message: string}>, warnings: Array<string>}}
+     *   Each contribution is the log-hazard term input * coefficient, where input is the z-score for scaled variables
+     *   and the mapped score for percentile variables.
+     */
+    function predict(patient, outcome, horizon) {
+        const result = {
+            outcome, horizon, risk: null, linearPredictor: null, hazardRatio: null,
+            baselineSurvival: null, contributions: [], errors: [], warnings: []
+        };
+        const addError = (code, variable, message) => result.errors.push({ code, variable, message });
+
+        if (!outcomes.includes(outcome)) {
+            addError('MISSING_COEFFICIENTS', null, `No coefficients found for outcome "${outcome}". Please check the 'coefficients.csv' file.`);
+            return result;
+        }
+        if (!(horizon > 0)) {
+            addError('INVALID_HORIZON', null, `The prediction horizon must be a positive number of years (got ${horizon}).`);
+            return result;
+        }
+
+        const data = { ...patient };
+        encodePatient(data);
+
+        const inputs = {};
+        getCoefficients(outcome).forEach(({ variable }) => {
+            const value = data[variable] === '' ? NaN : Number(data[variable]);
+            if (encodings.percentile.includes(variable) && data.rawScores?.[variable]) {
+                const raw = Number(data.rawScores[variable].value);
+                const position = isFinite(raw) ? scoreToPercentile(outcome, variable, raw) : undefined;
+                if (!isFinite(raw)) {
+                    addError('INVALID_INPUT', variable, `The raw ${variable} score is not a number (${data.rawScores[variable].value}).`);
+                } else if (!position) {
+                    addError('MISSING_PERCENTILE', variable, `No distribution of "${variable}" is tabulated for outcome "${outcome}". Please check the 'percentiles.csv' file.`);
+                } else {
+                    if (position.outOfRange) {
+                        result.warnings.push(`The ${variable} value ${raw} is ${position.outOfRange} the range tabulated for outcome "${outcome}"; the prediction is extrapolated.`);
+                    }
+                    inputs[variable] = raw;
+                }
+            } else if (data[variable] === undefined || data[variable] === null) {
+                addError('MISSING_INPUT', variable, `No value was given for "${variable}".`);
+            } else if (!isFinite(value)) {
+                addError('INVALID_INPUT', variable, `The value of "${variable}" is not a number (${data[variable]}).`);
+            } else if (encodings.percentile.includes(variable)) {
+                const score = percentileToScore(outcome, variable, value);
+                if (score === undefined) {
+                    addError('MISSING_PERCENTILE', variable, `Could not find percentile mapping for "${variable}" at p${value} for outcome "${outcome}". Please check the 'percentiles.csv' file.`);
+                } else {
+                    inputs[variable] = score;
+                }
+            } else if (encodings.scaled.includes(variable)) {
+                const params = scalerParams[variable];
+                if (!params || isNaN(params.mean) || isNaN(params.std)) {
+                    addError('MISSING_SCALER', variable, `Scaling parameters for "${variable}" are missing. Please check the 'PANEL_scaler_params.csv' file.`);
+                } else if (params.std === 0) {
+                    addError('INVALID_SCALER', variable, `Scaling parameter for "${variable}" is invalid (standard deviation is 0).`);
+                } else {
+                    inputs[variable] = (value - params.mean) / params.std;
+                }
+            } else {
+                inputs[variable] = value;
+            }
+        });
+
+        const curve = getBaselineSurvivalCurve(outcome);
+        if (curve.length === 0) {
+            addError('MISSING_BASELINE', null, `No baseline survival data found for outcome "${outcome}". Please check the 'baseline_survivals.csv' file.`);
+        }
+        if (result.errors.length > 0) return result;
+
+        let linearPredictor = 0;
+        getCoefficients(outcome).forEach(({ variable, coefficient }) => {
+            const contribution = inputs[variable] * coefficient;
+            linearPredictor += contribution;
+            result.contributions.push({ variable, input: inputs[variable], coefficient, contribution });
+        });
+
+        let baselineSurvival = getBaselineSurvivalAt(outcome, horizon);
+        if (baselineSurvival === null) {
+            result.warnings.push(`No baseline survival data found for outcome "${outcome}" at or before ${horizon} years. Assuming 100% survival.`);
+            baselineSurvival = 1.0;
+        }
+
+        result.linearPredictor = linearPredictor;
+        result.hazardRatio = Math.exp(linearPredictor);
+        result.baselineSurvival = baselineSurvival;
+        result.risk = 1 - Math.pow(baselineSurvival, result.hazardRatio);
+        return result;
+    }
+
+    return {
+        outcomes,
+        encodings,
+        percentileMap,
+        getCoefficients,
+        getBaselineSurvivalCurve,
+        getBaselineSurvivalAt,
+        percentileToScore,
+        scoreToPercentile,
+        encodePatient,
+        predict
+    };
+}
+
+/**
+ * Builds a scoring engine straight from the text of the four model CSV files.
+ * @param {Object} csvTexts The file contents, keyed like the tables of createCoxModel.
+ * @param {Object} [encodings] How variables enter the model; defaults to DEFAULT_ENCODINGS.
+ * @returns {Object} The engine returned by createCoxModel.
+ */
+function createCoxModelFromCSV(csvTexts, encodings = DEFAULT_ENCODINGS) {
+    return createCoxModel({
+        coefficients: parseCSVText(csvTexts.coefficients),
+        baselineSurvivals: parseCSVText(csvTexts.baselineSurvivals),
+        panelScalerParams: parseCSVText(csvTexts.panelScalerParams),
+        percentiles: parseCSVText(csvTexts.percentiles),
+        encodings
+    });
+}
+
+/**
+ * Scores a patient under several versions of the model and lines up their coefficients for one outcome.
+ * @param {Array<Object>} models Engines from createCoxModel; the first is the one the others are compared with.
+ * @param {Object} patient The patient; see the file header for the expected keys.
+ * @param {string} outcome The outcome code.
+ * @param {number} horizon The prediction horizon in years.
+ * @returns {{predictions: Array<Object>, coefficients: Array<{variable: string, values: Array<(number|undefined)>,
+ *   differences: Array<(number|null)>, changed: boolean}>}} The output of predict() per model, and per variable its
+ *   coefficient in each model with the differences from the first; a variable missing from a model has no
+ *   difference (null) and counts as changed.
+ */
+function compareModels(models, patient, outcome, horizon) {
+    const predictions = models.map(model => model.predict(patient, outcome, horizon));
+    const coefficientsByModel = models.map(model =>
+        Object.fromEntries(model.getCoefficients(outcome).map(c => [c.variable, c.coefficient])));
+    const variables = [...new Set(coefficientsByModel.flatMap(Object.keys))];
+    const coefficients = variables.map(variable => {
+        const values = coefficientsByModel.map(set => set[variable]);
+        const differences = values.slice(1).map(value =>
+            value === undefined || values[0] === undefined ? null : value - values[0]);
+        return { variable, values, differences, changed: differences.some(d => d !== 0) };
+    });
+    return { predictions, coefficients };
+}
+
+// --- Calibration bins and risk categories ---
+
+// Upper bounds of the predicted 10-year risk categories: <5%, 5-10%, 10-20% and >20%
+const RISK_CATEGORY_BOUNDS = [0.05, 0.10, 0.20];
+
+/**
+ * Turns rows of the calibration file (see CSV_SCHEMAS.calibration) into bins.
+ * @param {Array<Object>} rows The rows of one outcome and model.
+ * @returns {Array<{bin: number, n: number, predicted: number, observed: number, lower: (number|null), upper: (number|null)}>}
+ *   The bins in ascending order; `lower` and `upper` bound the observed risk when the file gives an interval.
+ */
+function toCalibrationBins(rows) {
+    const optionalNumber = value => (value === undefined || value === '' ? null : Number(value));
+    return rows
+        .map(row => ({
+            bin: Number(row.bin),
+            n: Number(row.n),
+            predicted: Number(row.predicted_risk),
+            observed: Number(row.observed_risk),
+            lower: optionalNumber(row.observed_ci_lower),
+            upper: optionalNumber(row.observed_ci_upper)
+        }))
+        .sort((a, b) => a.bin - b.bin);
+}
+
+/**
+ * @param {number} risk A predicted risk (0-1).
+ * @returns {number} The index of its category: the first bound the risk lies below, or
+ *   RISK_CATEGORY_BOUNDS.length for the top category. A risk equal to a bound falls into the category above it.
+ */
+function getRiskCategory(risk) {
+    const category = RISK_CATEGORY_BOUNDS.findIndex(bound => risk < bound);
+    return category === -1 ? RISK_CATEGORY_BOUNDS.length : category;
+}
+
+/**
+ * Counts the patients of each risk category. A bin counts towards the category of its mean predicted risk,
+ * so the split is only as fine as the bins.
+ * @param {Array<Object>} bins The output of toCalibrationBins.
+ * @returns {Array<{n: number, share: number}>} The patients and their share of all binned patients, per category.
+ */
+function stratifyCalibrationBins(bins) {
+    const counts = RISK_CATEGORY_BOUNDS.map(() => 0).concat(0);
+    bins.forEach(bin => {
+        counts[getRiskCategory(bin.predicted)] += bin.n;
+    });
+    const total = counts.reduce((sum, n) => sum + n, 0);
+    return counts.map(n => ({ n, share: total > 0 ? n / total : 0 }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCALED_VARIABLES,
+        PERCENTILE_VARIABLES,
+        ETHNICITY_VARIABLES,
+        BINARY_VARIABLES,
+        DEFAULT_ENCODINGS,
+        CSV_SCHEMAS,
+        parseCSVRecords,
+        parseCSVTable,
+        parseCSVText,
+        validateCSVTable,
+        validateModelTables,
+        buildPercentileMap,
+        encodingsFromManifest,
+        encodeCategorical,
+        encodeEthnicity,
+        createCoxModel,
+        createCoxModelFromCSV,
+        compareModels,
+        RISK_CATEGORY_BOUNDS,
+        toCalibrationBins,
+        getRiskCategory,
+        stratifyCalibrationBins
+    };
+}
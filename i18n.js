@@ -0,0 +1,144 @@
+// Translation catalogue and locale-aware number formatting.
+//
+// Every user-facing string of the page is looked up by a stable key, e.g. t('risk.calculate'). The catalogues in
+// locales/ register themselves with registerLocale; English is complete and any key missing from another locale
+// falls back to it. Static text in index.html is marked with data-i18n attributes (see translatePage).
+
+const LOCALE_STORAGE_KEY = 'cardiomicscore.locale';
+const DEFAULT_LOCALE = 'en';
+
+const locales = {}; // Locale code to {name, messages}, in registration order
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Adds a catalogue. A message is a string with {placeholders}, or an object of plural forms keyed by
+ * Intl.PluralRules category ('one', 'other', ...) and selected by the `count` parameter.
+ * @param {string} code The BCP 47 language code, e.g. 'de'.
+ * @param {string} name The language's own name, shown in the language switcher.
+ * @param {Object<string, (string|Object<string, string>)>} messages The messages keyed by message key.
+ */
+function registerLocale(code, name, messages) {
+    locales[code] = { name, messages };
+}
+
+/**
+ * Picks the locale to use: the one chosen in the language switcher, else the first of the browser's
+ * preferred languages that has a catalogue, else English.
+ * @returns {string} The locale code.
+ */
+function detectLocale() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (e) {
+        console.error('The language preference could not be read:', e);
+    }
+    if (stored && locales[stored]) return stored;
+    const preferred = (navigator.languages || [navigator.language || ''])
+        .map(language => language.split('-')[0])
+        .find(language => locales[language]);
+    return preferred || DEFAULT_LOCALE;
+}
+
+/**
+ * Makes a locale current for t() and the number formatters, and marks the page with its language.
+ * @param {string} code A registered locale code.
+ */
+function setLocale(code) {
+    currentLocale = locales[code] ? code : DEFAULT_LOCALE;
+    document.documentElement.lang = currentLocale;
+}
+
+/**
+ * @param {string} key A message key.
+ * @returns {boolean} Whether the current locale, or English, has the message.
+ */
+function hasMessage(key) {
+    return key in locales[currentLocale].messages || key in locales[DEFAULT_LOCALE].messages;
+}
+
+/**
+ * Looks up a message in the current locale and fills in its placeholders.
+ * @param {string} key The message key, e.g. 'risk.title'.
+ * @param {Object} [params] Placeholder values; `count` also selects the plural form.
+ * @returns {string} The message, or the key itself if no catalogue has it.
+ */
+function t(key, params = {}) {
+    const messages = locales[currentLocale].messages;
+    let message = key in messages ? messages[key] : locales[DEFAULT_LOCALE].messages[key];
+    if (message === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(currentLocale).select(params.count);
+        message = message[form] !== undefined ? message[form] : message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? params[name] : placeholder));
+}
+
+/**
+ * Formats a number with a fixed number of decimals in the current locale (e.g. 0.75 or 0,75).
+ * Exported files keep the plain toFixed format so that they stay machine-readable.
+ * @param {number} value The number.
+ * @param {number} [digits] Decimals to show.
+ * @returns {string}
+ */
+function formatNumber(value, digits = 0) {
+    return new Intl.NumberFormat(currentLocale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+}
+
+/**
+ * Formats a fraction as a percentage in the current locale (e.g. 0.044 as 4.4% or 4,4 %).
+ * @param {number} fraction The fraction, 1 being 100%.
+ * @param {number} [digits] Decimals to show.
+ * @returns {string}
+ */
+function formatPercent(fraction, digits = 1) {
+    return new Intl.NumberFormat(currentLocale, { style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits }).format(fraction);
+}
+
+/**
+ * Translates the static text of the page: `data-i18n` sets an element's text, `data-i18n-html` its markup
+ * (for messages with inline tags), and `data-i18n-attr` attributes, as "attribute:key" pairs separated by ';'.
+ * @param {ParentNode} [root] The part of the page to translate.
+ */
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        element.innerHTML = t(element.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            element.setAttribute(attribute, t(key));
+        });
+    });
+}
+
+/**
+ * Fills the language switcher and reloads the page in the language picked. The scenario survives the
+ * reload because it is kept in the page address.
+ * @param {HTMLSelectElement} select The switcher.
+ */
+function setupLanguageSwitcher(select) {
+    select.innerHTML = '';
+    Object.entries(locales).forEach(([code, { name }]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = name;
+        option.lang = code;
+        select.appendChild(option);
+    });
+    select.value = currentLocale;
+    select.addEventListener('change', () => {
+        try {
+            localStorage.setItem(LOCALE_STORAGE_KEY, select.value);
+        } catch (e) {
+            console.error('The language preference could not be saved:', e);
+        }
+        location.reload();
+    });
+}
@@ -0,0 +1,385 @@
+// German catalogue. Keys missing here fall back to English (locales/en.js). Besides the page's own
+// messages it translates the texts of the model manifest, keyed by outcome code, variable id and group.
+
+registerLocale('de', 'Deutsch', {
+    // Page and header
+    'page.title': 'KI-gestützte Multiomics-Profile zur personalisierten Vorhersage von Herz-Kreislauf-Erkrankungen: eine prospektive UK-Biobank-Studie',
+    'header.authors': 'Autoren:',
+    'header.language': 'Sprache:',
+    'tabs.personalized': 'Persönlicher Risikorechner',
+    'tabs.population': 'Vorhersagegüte in der Bevölkerung',
+    'common.instructions': 'Anleitung',
+    'common.chartData': 'Diagrammdaten',
+    'common.notAvailable': 'nicht verfügbar',
+    'common.notAvailableCapitalized': 'Nicht verfügbar',
+    'common.notCalculated': 'Nicht berechnet: {error}',
+    'common.percentagePoints': '{value} Prozentpunkte',
+    'option.yes': 'Ja',
+    'option.no': 'Nein',
+    'horizon.years': { one: '{count} Jahr', other: '{count} Jahre' },
+
+    // Data loading and offline use
+    'data.diagnosticsTitle': 'Die Modelldaten konnten nicht geladen werden',
+    'data.diagnosticsIntro': 'Der Rechner ist deaktiviert, bis die folgenden Probleme in den Datendateien behoben sind:',
+    'data.fileNotLoaded': 'Die Datei konnte nicht geladen werden ({error}).',
+    'data.problemAtLine': 'Zeile {line}: {message}',
+    'data.moreProblems': '... und {count} weitere.',
+    'offline.checking': 'Offline-Daten werden geprüft...',
+    'offline.update': 'Daten aktualisieren',
+    'offline.notCached': 'Offline-Daten: noch nicht gespeichert.',
+    'offline.cached': 'Offline-Daten: Modellversion {versions}, gespeichert am {updated}.',
+    'offline.inUse': 'Sie sind offline; die gespeicherten Daten werden verwendet.',
+    'offline.updating': 'Offline-Daten werden aktualisiert...',
+    'offline.updateFailed': 'Die Aktualisierung ist fehlgeschlagen, bitte versuchen Sie es online erneut.',
+    'offline.unavailable': 'Die Offline-Nutzung ist in diesem Browser nicht verfügbar.',
+    'offline.registrationFailed': 'Die Offline-Nutzung konnte nicht aktiviert werden.',
+
+    // Personalized risk form
+    'personalized.instructions': 'Dieser Bereich enthält den persönlichen Risikorechner für Herz-Kreislauf-Erkrankungen. Bitte wählen Sie eine Erkrankung und füllen Sie alle Felder aus, um das Risiko zu berechnen.',
+    'profiles.label': 'Gespeicherte Profile:',
+    'profiles.load': 'Laden',
+    'profiles.saveAs': 'Speichern unter...',
+    'profiles.rename': 'Umbenennen',
+    'profiles.delete': 'Löschen',
+    'profiles.copyLinkButton': 'Link kopieren',
+    'profiles.hint': 'Profile werden nur in diesem Browser gespeichert. Die Seitenadresse enthält stets das aktuelle Szenario und kann daher als Lesezeichen gespeichert oder weitergegeben werden.',
+    'profiles.none': 'Keine gespeicherten Profile',
+    'profiles.namePrompt': 'Name für dieses Profil:',
+    'profiles.renamePrompt': 'Neuer Name für dieses Profil:',
+    'profiles.replaceConfirm': 'Das gespeicherte Profil „{name}“ ersetzen?',
+    'profiles.deleteConfirm': 'Das gespeicherte Profil „{name}“ löschen?',
+    'profiles.linkCopied': 'Link in die Zwischenablage kopiert.',
+    'profiles.copyLink': 'Kopieren Sie diesen Link: {url}',
+    'form.disease': 'Erkrankung wählen:',
+    'form.horizon': 'Vorhersagezeitraum:',
+    'form.note': '<strong>Hinweis:</strong> Townsend-Deprivationsindex, polygener Risikoscore, MetScore und ProScore sind relative Werte. ' +
+        'Die gewählten Werte werden den entsprechenden Perzentilen der tatsächlichen Bevölkerungsverteilung zugeordnet. ' +
+        'Stattdessen kann ein gemessener Score eingegeben werden, indem die Eingabe auf „Rohwert“ umgestellt wird; das entsprechende Bevölkerungsperzentil wird darunter angezeigt. ' +
+        'Im Allgemeinen gilt: Je höher das Perzentil, desto höher das Erkrankungsrisiko.',
+    'form.imputation': 'Als „Nicht gemessen“ markierte Eingaben:',
+    'form.imputationImpute': 'Bevölkerungsmedian (Omics-Scores) bzw. Mittelwert (Laborwerte) einsetzen',
+    'form.imputationReduced': 'Das ohne die fehlenden Omics-Scores angepasste Modell verwenden, sofern verfügbar',
+    'input.scoreModeLabel': 'Eingabeart für {label}',
+    'input.percentile': 'Perzentil',
+    'input.rawScore': 'Rohwert',
+    'input.rawScorePlaceholder': 'Rohwert {label}',
+    'input.sliderValue': 'Wert:',
+    'input.unitLabel': 'Einheit für {label}',
+    'input.notMeasured': 'Nicht gemessen',
+    'input.correctFields': 'Bitte korrigieren Sie die markierten Felder: {fields}.',
+    'input.extrapolatedFields': 'Einige Eingaben liegen außerhalb des Bereichs der Daten, mit denen das Modell trainiert wurde: {fields}. ' +
+        'Das vorhergesagte Risiko ist eine Extrapolation und sollte mit Vorsicht interpretiert werden.',
+    'input.invalidNumber': 'Bitte geben Sie eine gültige Zahl ein.',
+    'input.implausible': 'Unplausibler Wert; erwartet {min}-{max}{unit}.',
+    'input.outsideTrainingRange': 'Außerhalb des Trainingsbereichs des Modells ({min}-{max}{unit}); das Ergebnis ist extrapoliert.',
+    'input.noDistribution': 'Für {outcome} ist keine Bevölkerungsverteilung tabelliert.',
+    'input.rawScore.below': 'Unter allen tabellierten Werten für {outcome}; das Ergebnis ist extrapoliert.',
+    'input.rawScore.above': 'Über allen tabellierten Werten für {outcome}; das Ergebnis ist extrapoliert.',
+    'input.percentileValue': 'Perzentil {value}',
+    'input.impliedPercentile': 'Entspricht in der Bevölkerung {percentile} für {outcome}.',
+    'input.impliedPercentile.below': 'Unter dem tabellierten Bereich für {outcome}, behandelt als {percentile}.',
+    'input.impliedPercentile.above': 'Über dem tabellierten Bereich für {outcome}, behandelt als {percentile}.',
+    'input.impliedPercentileOtherOutcomes': 'Die übrigen Erkrankungen ordnen denselben Rohwert in ihre eigene Verteilung ein.',
+    'missing.median': 'Bevölkerungsmedian, Perzentil 50',
+    'missing.mean': 'Bevölkerungsmittelwert, {value}{unit}',
+    'missing.imputed': 'Eingesetzt, da nicht gemessen: {inputs}.',
+    'missing.excluded': 'Durch Berechnung mit dem angepassten {model}-Modell weggelassen: {inputs}.',
+    'missing.reducedModelUnavailable': 'Es ist kein angepasstes {model}-Modell verfügbar, daher wurden stattdessen die Omics-Scores eingesetzt.',
+    'missing.reducedCIndex': 'C-Index des {model}-Modells bei {outcome}: {cIndex}, verglichen mit {fullCIndex} für das vollständige {fullModel}-Modell.',
+    'missing.imputedCIndex': 'Das Risiko stammt aus dem vollständigen {model}-Modell mit eingesetzten Eingaben; dessen C-Index wurde mit allen gemessenen Eingaben geschätzt und kann die Trennschärfe hier überschätzen.',
+    'missing.reducedPredictorSet': 'Ohne diese Eingaben entsprechen die Vorhersagen dem Prädiktorsatz {model}.',
+    'missing.compareLink': '{model} im Tab zur Vorhersagegüte vergleichen',
+
+    // Risk results
+    'risk.calculate': 'Risiko berechnen',
+    'risk.calculateAll': 'Alle Erkrankungen berechnen',
+    'risk.loadingData': 'Daten werden geladen...',
+    'risk.dataFailed': 'Fehler: Daten konnten nicht geladen werden',
+    'risk.calculating': 'Wird berechnet...',
+    'risk.title': '{horizon}-Jahres-Risiko für {disease}',
+    'risk.description': 'Wahrscheinlichkeit, an {disease} zu erkranken (Zeitraum: {horizon})',
+    'risk.extrapolated': 'Extrapoliert: Einige Eingaben liegen außerhalb des Bereichs der Trainingsdaten.',
+    'risk.survivalCarriedForward': 'Das Basisüberleben bei {disease} ist nur bis {time} Jahre verfügbar; ' +
+        'das angezeigte Risiko wird vom letzten beobachteten Zeitpunkt fortgeschrieben.',
+    'context.title': 'Im Vergleich zu einer Referenzperson gleichen Alters und Geschlechts',
+    'context.referenceRisk': 'Referenzrisiko',
+    'context.relativeRisk': 'Relatives Risiko',
+    'context.riskAge': 'Risikoäquivalentes Alter',
+    'context.referenceDescription': 'Die Referenzperson hat dasselbe Alter und Geschlecht, den Bevölkerungsdurchschnitt aller klinischen Messwerte, ' +
+        'mediane Omics-Scores und Deprivation sowie die Standardwerte für Lebensstil und Vorgeschichte. ' +
+        'Das risikoäquivalente („Herz“-)Alter ist das Alter, in dem die Referenzperson dasselbe vorhergesagte Risiko hätte.',
+    'context.age': { one: '{count} Jahr', other: '{count} Jahre' },
+    'context.age.below': { one: 'unter {count} Jahr', other: 'unter {count} Jahren' },
+    'context.age.above': { one: 'über {count} Jahr', other: 'über {count} Jahre' },
+    'context.ageExtrapolated': '(außerhalb der Altersspanne, mit der das Modell trainiert wurde)',
+    'incidence.heading': 'Vorhergesagte kumulative Inzidenz',
+    'incidence.time': 'Zeit',
+    'incidence.cumulativeIncidence': 'Kumulative Inzidenz',
+    'incidence.noData': 'Für die gewählte Erkrankung sind keine Daten zum Basisüberleben verfügbar.',
+    'incidence.chartTitle': 'Vorhergesagte kumulative Inzidenz',
+    'incidence.chartDescription': 'Treppenkurve der vorhergesagten kumulativen Inzidenz über {years}, die nach {horizon} {risk} erreicht. ' +
+        'Die jährlichen Werte stehen in der Tabelle der Diagrammdaten unten.',
+    'incidence.xAxis': 'Jahre seit Studienbeginn',
+    'incidence.yAxis': 'Kumulative Inzidenz',
+    'incidence.marker': '{horizon}-Jahres-Risiko: {risk}',
+    'contribution.heading': 'Beitrag der einzelnen Prädiktoren',
+    'contribution.hint': 'Jeder Balken ist der Term des Prädiktors im linearen Prädiktor (Log-Hazard): sein Wert, bei stetigen klinischen Messwerten z-standardisiert, ' +
+        'multipliziert mit dem Modellkoeffizienten. Balken nach rechts erhöhen das Risiko, Balken nach links senken es.',
+    'contribution.group': 'Gruppe',
+    'contribution.predictor': 'Prädiktor',
+    'contribution.input': 'Modelleingabe',
+    'contribution.coefficient': 'Koeffizient',
+    'contribution.contribution': 'Beitrag',
+    'contribution.linearPredictor': 'Linearer Prädiktor',
+    'contribution.chartTitle': 'Beitrag der einzelnen Prädiktoren',
+    'contribution.chartDescription': 'Wasserfalldiagramm von {count} Prädiktortermen, die sich zu einem linearen Prädiktor von {linearPredictor} summieren. ' +
+        'Größte Erhöhung: {largest}; größte Senkung: {smallest}. Alle Terme stehen in der Tabelle der Diagrammdaten unten.',
+    'contribution.axis': 'Beitrag zum Log-Hazard',
+    'omicsSteps.heading': 'Was jede Omics-Ebene beiträgt',
+    'omicsSteps.step': 'Schritt',
+    'omicsSteps.predictors': 'Prädiktoren',
+    'omicsSteps.risk': 'Vorhergesagtes Risiko',
+    'omicsSteps.change': 'Änderung zum vorigen Schritt',
+    'omicsSteps.cIndex': 'C-Index des Modells',
+    'omicsSteps.hint': 'Jeder Schritt fügt den klinischen Prädiktoren einen Omics-Score hinzu. Noch nicht hinzugefügte Scores werden auf den Bevölkerungsmedian (50. Perzentil) gesetzt, ' +
+        'der letzte Schritt ist also das vollständige Modell. Der C-Index ist der des mit den Prädiktoren des Schritts angepassten Modells; klicken Sie auf ein Modell, um es im Tab zur Vorhersagegüte zu vergleichen.',
+    'omicsSteps.notMeasured': '(nicht gemessen, Median)',
+    'omicsSteps.clinicalOnly': 'Nur klinische Prädiktoren',
+    'versions.heading': 'Vergleich der Modellversionen',
+    'versions.coefficientsHeading': 'Unterschiede der Koeffizienten',
+    'versions.coefficientsHint': 'Zeilen, deren Koeffizient sich zwischen den Versionen unterscheidet, sind hervorgehoben.',
+    'versions.version': 'Modellversion',
+    'versions.risk': 'Vorhergesagtes Risiko',
+    'versions.linearPredictor': 'Linearer Prädiktor',
+    'versions.change': 'Änderung ggü. Version {version}',
+    'versions.variable': 'Variable',
+    'versions.versionNumber': 'Version {version}',
+    'versions.difference': 'Δ {version} ggü. {primary}',
+    'whatIf.heading': 'Was wäre, wenn? Beeinflussbare Risikofaktoren',
+    'whatIf.intro': 'Ändern Sie die Faktoren unten, um zu sehen, wie sich das vorhergesagte Risiko gegenüber den aktuellen Eingaben unterscheiden würde. Das Formular oben bleibt unverändert.',
+    'whatIf.reset': 'Auf aktuelle Eingaben zurücksetzen',
+    'whatIf.current': 'Aktuell: {value}',
+    'whatIf.currentRisk': 'Aktuelles {horizon}-Jahres-Risiko',
+    'whatIf.simulatedRisk': 'Simuliertes {horizon}-Jahres-Risiko',
+    'whatIf.change': '{absolute} ({relative} % relativ zum aktuellen Risiko)',
+    'dashboard.title': '{horizon}-Jahres-Risiko für alle Erkrankungen',
+    'dashboard.linearPredictor': 'Linearer Prädiktor: {linearPredictor} (Hazard Ratio {hazardRatio})',
+    'dashboard.context': '{relativeRisk} im Vergleich zur Referenz gleichen Alters und Geschlechts ({referenceRisk}); risikoäquivalentes Alter {riskAge}',
+    'dashboard.failed': 'Fehlgeschlagen',
+
+    // Printable report
+    'report.button': 'Bericht erstellen',
+    'report.title': 'Bericht zum Risiko für Herz-Kreislauf-Erkrankungen',
+    'report.generated': 'Erstellt am {date}',
+    'report.riskHeading': 'Vorhergesagtes {horizon}-Jahres-Risiko',
+    'report.outcome': 'Erkrankung',
+    'report.risk': 'Vorhergesagtes Risiko',
+    'report.referenceRisk': 'Referenz gleichen Alters und Geschlechts',
+    'report.relativeRisk': 'Relatives Risiko',
+    'report.riskAge': 'Risikoäquivalentes Alter',
+    'report.cIndex': 'C-Index des Modells',
+    'report.cIndexModel': 'Der angegebene C-Index ist der des {model}-Modells.',
+    'report.extrapolated': 'Extrapoliert: {inputs} außerhalb des Bereichs der Trainingsdaten.',
+    'report.modelHeading': 'Modell',
+    'report.model': 'Cox-Modell proportionaler Hazards mit dem Prädiktorsatz {model}, Version {version}.',
+    'report.inputsHeading': 'Angaben zur Person',
+    'report.predictor': 'Prädiktor',
+    'report.value': 'Wert',
+    'report.inputExcluded': 'Nicht gemessen (vom reduzierten Modell weggelassen)',
+    'report.inputImputed': 'Nicht gemessen (eingesetzt: {description})',
+    'report.rawScore': 'Rohwert {value}',
+    'report.percentile': 'Perzentil {value}',
+    'report.disclaimer': 'Haftungsausschluss: Diese Schätzung stammt aus einem Forschungsmodell, das in der UK-Biobank-Kohorte entwickelt wurde ' +
+        '(KI-gestützte Multiomics-Profile zur personalisierten Vorhersage von Herz-Kreislauf-Erkrankungen), und ist nicht für den klinischen Einsatz validiert. ' +
+        'Sie ersetzt nicht das klinische Urteil und sollte zusammen mit dem gesamten klinischen Bild der Person interpretiert werden.',
+
+    // Batch scoring
+    'batch.heading': 'Stapelberechnung',
+    'batch.intro': 'Laden Sie eine CSV-Datei mit einer Person pro Zeile hoch, um eine ganze Kohorte für den oben gewählten Vorhersagezeitraum zu berechnen. ' +
+        'Die Spalten müssen nach den Modellvariablen benannt sein (z. B. <code>age</code>, <code>sbp</code>, <code>male_1.0</code>, <code>current_smoking_1.0</code>, <code>prs</code>). ' +
+        'Binäre Variablen sind mit 0/1 kodiert, Townsend, PRS, MetScore und ProScore sind Perzentile (1-100), und die Ethnizität wird entweder als ' +
+        'Spalte <code>ethnicity</code> (0 weiß, 1 asiatisch, 2 schwarz, 3 andere) oder als Spalten <code>ethnicity_1.0</code>-<code>ethnicity_3.0</code> angegeben. ' +
+        'Messwerte müssen in den Modelleinheiten vorliegen, der jeweils ersten Einheit im Formular (mmHg, cm, kg, 10<sup>9</sup> Zellen/L, % und g/dL); ' +
+        'sie werden nicht umgerechnet. Eine optionale Spalte <code>id</code> wird in die Ergebnisse übernommen.',
+    'batch.fileLabel': 'Datei mit Personen:',
+    'batch.outcomesLabel': 'Erkrankungen wählen:',
+    'batch.scoreButton': 'Datei berechnen',
+    'batch.downloadButton': 'Ergebnisse herunterladen',
+    'batch.row': 'Zeile',
+    'batch.problems': 'Probleme',
+    'batch.missingValue': '{name} fehlt',
+    'batch.notNumber': '{name} ist keine Zahl („{value}“)',
+    'batch.notBinary': '{name} muss 0 oder 1 sein (erhalten: {value})',
+    'batch.notPercentile': '{name} muss ein Perzentil zwischen 1 und 100 sein (erhalten: {value})',
+    'batch.notCategory': '{name} muss einer der Werte {codes} sein (erhalten: {value})',
+    'batch.invalidOneHot': 'Die Spalten für {name} ({columns}) müssen 0/1 sein, wobei höchstens eine gesetzt ist',
+    'batch.noFile': 'Bitte wählen Sie zuerst eine CSV-Datei.',
+    'batch.noOutcome': 'Bitte wählen Sie mindestens eine Erkrankung.',
+    'batch.noRows': 'Die Datei enthält keine Zeilen mit Personen.',
+    'batch.missingColumns': 'In der Datei fehlen erforderliche Spalten: {columns}.',
+    'batch.scored': '{scored} von {count} Zeilen für alle gewählten Erkrankungen und einen Zeitraum von {horizon} Jahren berechnet.',
+    'batch.partlyScored': { one: '{count} Zeile wurde nur für einen Teil der Erkrankungen berechnet.', other: '{count} Zeilen wurden nur für einen Teil der Erkrankungen berechnet.' },
+    'batch.notScored': { one: '{count} Zeile konnte nicht berechnet werden.', other: '{count} Zeilen konnten nicht berechnet werden.' },
+    'batch.extrapolatedRows': {
+        one: '{count} berechnete Zeile enthält Werte außerhalb des Trainingsbereichs.',
+        other: '{count} berechnete Zeilen enthalten Werte außerhalb des Trainingsbereichs.'
+    },
+
+    // Populational predictive performance
+    'population.instructions': 'Dieser Bereich zeigt die Vorhersagegüte von Modellen, die mit verschiedenen Kombinationen aus polygenem Risikoscore (PRS), ' +
+        'MetScore, ProScore und drei vordefinierten klinischen Prädiktorsätzen (AgeSex, Clin und PANEL) trainiert wurden. Bitte wählen Sie Erkrankung und Prädiktor.',
+    'population.outcomesLabel': 'Herz-Kreislauf-Erkrankung wählen:',
+    'population.predictorLabel': 'Prädiktor wählen:',
+    'population.omicsHint': 'Beliebige Kombination von Omics-Scores',
+    'population.baseHint': 'ergänzt um ein Basismodell',
+    'population.metricLabel': 'Maß wählen:',
+    'population.deltaMetric': 'ΔC-Index ggü. Basismodell',
+    'population.layoutLabel': 'Diagrammart:',
+    'population.layoutPoints': 'Punkte mit 95-%-KI',
+    'population.layoutHeatmap': 'Heatmap (Beschriftung wählen zum Sortieren)',
+    'population.generate': 'Ergebnisse erzeugen',
+    'performance.heading': 'Vergleich der Modellgüte',
+    'performance.filterPlaceholder': 'Nach Modell oder Erkrankung filtern',
+    'performance.filterLabel': 'Ergebnisse filtern',
+    'performance.groupByOutcome': 'Nach Erkrankung gruppieren',
+    'performance.tableCaption': 'Modellgüte für die gewählten Erkrankungen; wählen Sie eine Spaltenüberschrift zum Sortieren.',
+    'performance.noOutcome': 'Bitte wählen Sie mindestens eine Herz-Kreislauf-Erkrankung.',
+    'performance.noBaseModel': 'Bitte wählen Sie einen Basisprädiktor (AgeSex, Clin oder PANEL).',
+    'performance.noData': 'Für die gewählten Kriterien sind keine Daten verfügbar.',
+    'performance.noMatch': 'Keine Zeilen entsprechen dem Filter.',
+    'performance.pngFailed': 'Das Diagramm konnte nicht als PNG erstellt werden. Bitte verwenden Sie stattdessen den SVG-Export.',
+    'performance.cIndex': 'C-Index',
+    'performance.deltaCIndex': 'ΔC-Index',
+    'performance.cIndexWithCI': '{value} (95-%-KI {lower}-{upper})',
+    'performance.model': 'Modell',
+    'performance.outcome': 'Erkrankung',
+    'performance.deltaCIndexColumn': 'ΔC-Index ggü. Basismodell',
+    'performance.confidenceInterval': '95-%-Konfidenzintervall',
+    'performance.excludesZero': 'KI schließt 0 aus',
+    'performance.interval': '{lower} bis {upper}',
+    'performance.sortByWidth': 'Nach Intervallbreite sortieren',
+    'performance.bestModel': 'Bestes Modell für {outcome} unter den angezeigten Zeilen',
+    'performance.highest': 'Höchster {metric}: {model} bei {outcome}, {value}.',
+    'performance.valuesInTable': 'Die Werte stehen in der Ergebnistabelle unten.',
+    'performance.modelCount': { one: '{count} Modell', other: '{count} Modellen' },
+    'performance.outcomeCount': { one: '{count} Erkrankung', other: '{count} Erkrankungen' },
+    'performance.deltaAxis': 'ΔC-Index ggü. {model}',
+    'performance.forestDescription': {
+        one: 'Forest-Plot des C-Index-Gewinns gegenüber {model} mit 95-%-Konfidenzintervall für {count} Paar aus Modell und Erkrankung; das Intervall schließt 0 bei {significant} von {count} aus.',
+        other: 'Forest-Plot des C-Index-Gewinns gegenüber {model} mit 95-%-Konfidenzintervall für {count} Paare aus Modell und Erkrankung; das Intervall schließt 0 bei {significant} davon aus.'
+    },
+    'performance.pointsTitle': 'C-Index der gewählten Modelle',
+    'performance.pointsDescription': 'C-Index mit 95-%-Konfidenzintervall von {models} für {outcomes}.',
+    'performance.heatmapTitle': 'Heatmap des {metric}',
+    'performance.heatmapDescription': '{metric} von {outcomes} nach {models}.',
+    'performance.heatmapSortHint': 'Wählen Sie eine Erkrankungs- oder Modellbeschriftung, um danach zu sortieren.',
+    'performance.sortOutcomesBy': 'Erkrankungen nach {name} sortieren',
+    'performance.sortModelsBy': 'Modelle nach {name} sortieren',
+    'export.svg': 'SVG herunterladen',
+    'export.png': 'PNG herunterladen',
+    'export.csv': 'CSV herunterladen',
+    'export.tsv': 'TSV herunterladen',
+    'export.pngScale': 'PNG-Auflösung',
+    'export.resolution': '{scale}-fache Auflösung',
+    'calibration.heading': 'Kalibrierung und Risikostratifizierung',
+    'calibration.hint': 'Für die ausgewählten Erkrankungen und das Modell mit allen ausgewählten Prädiktoren. Die Patienten sind nach vorhergesagtem 10-Jahres-Risiko ' +
+        'in Gruppen eingeteilt; jede Gruppe zählt zur Risikokategorie ihres mittleren vorhergesagten Risikos.',
+    'calibration.loadFailed': 'Die Kalibrierungsdaten ({file}) konnten nicht geladen werden.',
+    'calibration.missing': 'Keine Kalibrierungsdaten für {outcomes} mit {model}.',
+    'calibration.noData': 'Für die ausgewählten Kriterien liegen keine Kalibrierungsdaten vor.',
+    'calibration.categoryHeading': 'Vorhergesagtes Risiko nach Kategorie',
+    'calibration.calibrationHeading': 'Beobachtetes gegen vorhergesagtes Risiko',
+    'calibration.category': 'Risikokategorie',
+    'calibration.patients': 'Patienten',
+    'calibration.patientCount': { one: '{formatted} Patient', other: '{formatted} Patienten' },
+    'calibration.share': 'Anteil der Patienten',
+    'calibration.bin': 'Gruppe',
+    'calibration.predicted': 'Mittleres vorhergesagtes Risiko',
+    'calibration.observed': 'Beobachtetes Risiko',
+    'calibration.below': 'unter {bound}',
+    'calibration.between': '{lower} bis {upper}',
+    'calibration.above': 'über {bound}',
+    'calibration.categoryTitle': 'Vorhergesagtes 10-Jahres-Risiko nach Kategorie',
+    'calibration.categoryDescription': 'Anteil der Patienten in jeder Kategorie des vorhergesagten 10-Jahres-Risikos für {outcomes}.',
+    'calibration.highestCategory': 'Größter Anteil über {bound}: {share} der Patienten bei {outcome}.',
+    'calibration.chartTitle': 'Beobachtetes gegen vorhergesagtes 10-Jahres-Risiko',
+    'calibration.chartDescription': 'Beobachtetes gegen mittleres vorhergesagtes 10-Jahres-Risiko jeder Risikogruppe für {outcomes}; Punkte auf der gestrichelten Diagonale sind perfekt kalibriert.',
+    'calibration.largestDifference': 'Größte Abweichung: Gruppe {bin} bei {outcome}, vorhergesagt {predicted} und beobachtet {observed}.',
+    'calibration.binTitle': 'Gruppe {bin}: vorhergesagt {predicted}, beobachtet {observed}',
+    'calibration.valuesInTable': 'Die Werte stehen in der Tabelle der Diagrammdaten unten.',
+
+    // Model manifest
+    'outcome.cad': 'Koronare Herzkrankheit',
+    'outcome.cad.inText': 'koronarer Herzkrankheit',
+    'outcome.stroke': 'Schlaganfall',
+    'outcome.stroke.inText': 'Schlaganfall',
+    'outcome.hf': 'Herzinsuffizienz',
+    'outcome.hf.inText': 'Herzinsuffizienz',
+    'outcome.af': 'Vorhofflimmern',
+    'outcome.af.inText': 'Vorhofflimmern',
+    'outcome.pad': 'Periphere arterielle Verschlusskrankheit',
+    'outcome.pad.inText': 'peripherer arterieller Verschlusskrankheit',
+    'outcome.vte': 'Venöse Thromboembolie',
+    'outcome.vte.inText': 'venöser Thromboembolie',
+    'group.Demographics': 'Demografie',
+    'group.Vitals': 'Vitalwerte',
+    'group.Blood counts': 'Blutbild',
+    'group.Lifestyle': 'Lebensstil',
+    'group.History': 'Vorgeschichte',
+    'group.Medication': 'Medikation',
+    'group.Omics scores': 'Omics-Scores',
+    'group.Other': 'Sonstige',
+    'variable.age': 'Alter (Jahre)',
+    'variable.age.hint': 'Das Modell wurde für das Alter von 39 bis 70 Jahren entwickelt',
+    'variable.male_1.0': 'Geschlecht',
+    'variable.male_1.0.option.1': 'Männlich',
+    'variable.male_1.0.option.0': 'Weiblich',
+    'variable.ethnicity': 'Ethnizität',
+    'variable.ethnicity.option.0': 'Weiß',
+    'variable.ethnicity.option.1': 'Asiatisch',
+    'variable.ethnicity.option.2': 'Schwarz',
+    'variable.ethnicity.option.3': 'Andere',
+    'variable.townsend': 'Townsend-Deprivationsindex',
+    'variable.townsend.tooltip': 'Maß der materiellen Deprivation innerhalb einer Bevölkerung; höhere Werte bedeuten stärkere Deprivation.',
+    'variable.current_smoking_1.0': 'Aktuelles Rauchen',
+    'variable.daily_drinking_1.0': 'Täglicher Alkoholkonsum',
+    'variable.healthy_sleep_1.0': 'Gesunder Schlaf',
+    'variable.healthy_sleep_1.0.tooltip': 'Schlafdauer zwischen 7 und 9 Stunden pro Nacht.',
+    'variable.physical_act_1.0': 'Körperliche Aktivität',
+    'variable.physical_act_1.0.tooltip': 'Mindestens 150 Minuten Gehen oder mäßige Aktivität pro Woche oder 75 Minuten intensive Aktivität (britische Bewegungsempfehlungen 2017).',
+    'variable.healthy_diet_1.0': 'Gesunde Ernährung',
+    'variable.healthy_diet_1.0.tooltip': 'Mindestens 4 der folgenden 7 Kriterien: <ul><li>Gemüse: ≥3 Portionen/Tag;</li><li>Obst: ≥3 Portionen/Tag;</li>' +
+        '<li>Fisch: ≥2 Portionen/Woche;</li><li>Verarbeitetes Fleisch: ≤1 Portion/Woche;</li><li>Unverarbeitetes rotes Fleisch: ≤1,5 Portionen/Woche;</li>' +
+        '<li>Vollkornprodukte: ≥3 Portionen/Tag;</li><li>Raffiniertes Getreide: ≤1,5 Portionen/Tag.</li></ul>',
+    'variable.social_active_1.0': 'Soziale Einbindung',
+    'variable.social_active_1.0.tooltip': 'Höchstens eines der folgenden Kriterien: <ul><li>Alleinlebend;</li>' +
+        '<li>Besuche von Freunden und Familie seltener als einmal im Monat;</li><li>Keine mindestens wöchentliche Teilnahme an sozialen Aktivitäten.</li></ul>',
+    'variable.family_heart_hist_1.0': 'Herzkrankheit in der Familie',
+    'variable.family_stroke_hist_1.0': 'Schlaganfall in der Familie',
+    'variable.family_hypt_hist_1.0': 'Bluthochdruck in der Familie',
+    'variable.family_diab_hist_1.0': 'Diabetes in der Familie',
+    'variable.hypt_hist_1.0': 'Bluthochdruck in der Vorgeschichte',
+    'variable.diab_hist_1.0': 'Diabetes in der Vorgeschichte',
+    'variable.lipidlower_1.0': 'Lipidsenkende Medikation',
+    'variable.antihypt_1.0': 'Blutdrucksenkende Medikation',
+    'variable.sbp': 'Systolischer Blutdruck',
+    'variable.dbp': 'Diastolischer Blutdruck',
+    'variable.height': 'Körpergröße',
+    'variable.weight': 'Körpergewicht',
+    'variable.waist_cir': 'Taillenumfang',
+    'variable.hip_cir': 'Hüftumfang',
+    'variable.hip_cir.hint': 'Dient zur Berechnung des Taille-Hüft-Verhältnisses',
+    'variable.hip_cir.placeholder': 'Optional',
+    'variable.waist_hip_ratio': 'Taille-Hüft-Verhältnis',
+    'variable.bmi': 'Body-Mass-Index',
+    'variable.wbc': 'Leukozytenzahl',
+    'variable.lc': 'Lymphozytenzahl',
+    'variable.mc': 'Monozytenzahl',
+    'variable.nc': 'Neutrophilenzahl',
+    'variable.eos': 'Eosinophilenzahl',
+    'variable.baso': 'Basophilenzahl',
+    'variable.plt': 'Thrombozytenzahl',
+    'variable.hct': 'Hämatokrit',
+    'variable.hb': 'Hämoglobin',
+    'variable.prs': 'Polygener Risikoscore'
+});
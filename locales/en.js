@@ -0,0 +1,311 @@
+// English catalogue. It is the reference: every message key the page uses is defined here, and other
+// locales fall back to it. Texts of the model manifest (outcome and variable names, hints, tooltips,
+// options and groups) are taken from the manifest itself and need no entry here.
+
+registerLocale('en', 'English', {
+    // Page and header
+    'page.title': 'AI-based multiomics profiling for personalized prediction of cardiovascular disease: A prospective UK Biobank study',
+    'header.authors': 'Author:',
+    'header.language': 'Language:',
+    'tabs.personalized': 'Personalized Risk Estimator',
+    'tabs.population': 'Populational Predictive Performance',
+    'common.instructions': 'Instructions',
+    'common.chartData': 'Chart data',
+    'common.notAvailable': 'not available',
+    'common.notAvailableCapitalized': 'Not available',
+    'common.notCalculated': 'Not calculated: {error}',
+    'common.percentagePoints': '{value} percentage points',
+    'option.yes': 'Yes',
+    'option.no': 'No',
+    'horizon.years': { one: '{count} year', other: '{count} years' },
+
+    // Data loading and offline use
+    'data.diagnosticsTitle': 'The model data could not be loaded',
+    'data.diagnosticsIntro': 'The calculator is disabled until the following problems in the data files are fixed:',
+    'data.fileNotLoaded': 'The file could not be loaded ({error}).',
+    'data.problemAtLine': 'Line {line}: {message}',
+    'data.moreProblems': '...and {count} more.',
+    'offline.checking': 'Checking offline data...',
+    'offline.update': 'Update Data',
+    'offline.notCached': 'Offline data: not cached yet.',
+    'offline.cached': 'Offline data: model version {versions}, cached {updated}.',
+    'offline.inUse': 'You are offline; the cached data is in use.',
+    'offline.updating': 'Updating offline data...',
+    'offline.updateFailed': 'The update failed, please try again when online.',
+    'offline.unavailable': 'Offline use is not available in this browser.',
+    'offline.registrationFailed': 'Offline use could not be enabled.',
+
+    // Personalized risk form
+    'personalized.instructions': 'This section shows the personalized cardiovascular disease risk estimator. Please select disease and fill out all fields to calculate risk.',
+    'profiles.label': 'Saved Profiles:',
+    'profiles.load': 'Load',
+    'profiles.saveAs': 'Save As...',
+    'profiles.rename': 'Rename',
+    'profiles.delete': 'Delete',
+    'profiles.copyLinkButton': 'Copy Link',
+    'profiles.hint': 'Profiles are stored in this browser only. The page address always holds the current scenario, so it can be bookmarked or shared.',
+    'profiles.none': 'No saved profiles',
+    'profiles.namePrompt': 'Name for this profile:',
+    'profiles.renamePrompt': 'New name for this profile:',
+    'profiles.replaceConfirm': 'Replace the saved profile "{name}"?',
+    'profiles.deleteConfirm': 'Delete the saved profile "{name}"?',
+    'profiles.linkCopied': 'Link copied to the clipboard.',
+    'profiles.copyLink': 'Copy this link: {url}',
+    'form.disease': 'Select Disease:',
+    'form.horizon': 'Prediction Horizon:',
+    'form.note': '<strong>Note:</strong> Townsend Deprivation Index, Polygenic Risk Score, MetScore, and ProScore are relative values. ' +
+        'The values selected by users will be mapped to the corresponding percentiles of the actual population distribution. ' +
+        'A measured score can be entered instead by switching its input to "Raw score"; its implied population percentile is shown below it. ' +
+        'Generally, the higher the percentile, the higher the disease risk.',
+    'form.imputation': 'Inputs marked "Not measured":',
+    'form.imputationImpute': 'Impute the population median (omics scores) or mean (labs)',
+    'form.imputationReduced': 'Use the fitted model without the missing omics scores, where available',
+    'input.scoreModeLabel': '{label} input mode',
+    'input.percentile': 'Percentile',
+    'input.rawScore': 'Raw score',
+    'input.rawScorePlaceholder': 'Raw {label}',
+    'input.sliderValue': 'Value:',
+    'input.unitLabel': '{label} unit',
+    'input.notMeasured': 'Not measured',
+    'input.correctFields': 'Please correct the highlighted fields: {fields}.',
+    'input.extrapolatedFields': 'Some inputs are outside the range of the data the model was trained on: {fields}. ' +
+        'The predicted risk is an extrapolation and should be interpreted with caution.',
+    'input.invalidNumber': 'Please enter a valid number.',
+    'input.implausible': 'Implausible value; expected {min}-{max}{unit}.',
+    'input.outsideTrainingRange': 'Outside the model\'s training range ({min}-{max}{unit}); the result is extrapolated.',
+    'input.noDistribution': 'No population distribution is tabulated for {outcome}.',
+    'input.rawScore.below': 'Below every tabulated value for {outcome}; the result is extrapolated.',
+    'input.rawScore.above': 'Above every tabulated value for {outcome}; the result is extrapolated.',
+    'input.percentileValue': 'percentile {value}',
+    'input.impliedPercentile': 'Implied population {percentile} for {outcome}.',
+    'input.impliedPercentile.below': 'Below the tabulated range for {outcome}, treated as {percentile}.',
+    'input.impliedPercentile.above': 'Above the tabulated range for {outcome}, treated as {percentile}.',
+    'input.impliedPercentileOtherOutcomes': 'Other outcomes place the same raw score in their own distribution.',
+    'missing.median': 'population median, percentile 50',
+    'missing.mean': 'population mean, {value}{unit}',
+    'missing.imputed': 'Imputed because not measured: {inputs}.',
+    'missing.excluded': 'Left out by scoring with the fitted {model} model: {inputs}.',
+    'missing.reducedModelUnavailable': 'No fitted {model} model is available, so the omics scores were imputed instead.',
+    'missing.reducedCIndex': 'C-index of the {model} model for {outcome}: {cIndex}, compared with {fullCIndex} for the full {fullModel} model.',
+    'missing.imputedCIndex': 'The risk comes from the full {model} model with imputed inputs; its C-index was estimated with all inputs measured and may overstate the discrimination here.',
+    'missing.reducedPredictorSet': 'Without these inputs, the predictions correspond to the {model} predictor set.',
+    'missing.compareLink': 'Compare {model} in the performance tab',
+
+    // Risk results
+    'risk.calculate': 'Calculate Risk',
+    'risk.calculateAll': 'Calculate All Outcomes',
+    'risk.loadingData': 'Loading data...',
+    'risk.dataFailed': 'Error: Data failed to load',
+    'risk.calculating': 'Calculating...',
+    'risk.title': '{horizon}-Year Risk For {disease}',
+    'risk.description': 'Probability of developing {disease} in the next {horizon}',
+    'risk.extrapolated': 'Extrapolated: some inputs are outside the training data range.',
+    'risk.survivalCarriedForward': 'Baseline survival for {disease} is only available up to {time} years; ' +
+        'the risk shown is carried forward from the last observed time point.',
+    'context.title': 'Compared With A Same-Age, Same-Sex Reference',
+    'context.referenceRisk': 'Reference risk',
+    'context.relativeRisk': 'Relative risk',
+    'context.riskAge': 'Risk-equivalent age',
+    'context.referenceDescription': 'The reference patient has the same age and sex, the population average of every clinical measure, ' +
+        'median omics scores and deprivation, and the default lifestyle and history factors. ' +
+        'The risk-equivalent ("heart") age is the age at which the reference patient would have the same predicted risk.',
+    'context.age': { one: '{count} year', other: '{count} years' },
+    'context.age.below': { one: 'under {count} year', other: 'under {count} years' },
+    'context.age.above': { one: 'over {count} year', other: 'over {count} years' },
+    'context.ageExtrapolated': '(beyond the ages the model was trained on)',
+    'incidence.heading': 'Predicted Cumulative Incidence',
+    'incidence.time': 'Time',
+    'incidence.cumulativeIncidence': 'Cumulative Incidence',
+    'incidence.noData': 'No baseline survival data available for the selected disease.',
+    'incidence.chartTitle': 'Predicted cumulative incidence',
+    'incidence.chartDescription': 'Step curve of the predicted cumulative incidence over {years}, reaching {risk} at {horizon}. ' +
+        'The yearly values are listed in the chart data table below.',
+    'incidence.xAxis': 'Years since baseline',
+    'incidence.yAxis': 'Cumulative incidence',
+    'incidence.marker': '{horizon}-year risk: {risk}',
+    'contribution.heading': 'Contribution of Each Predictor',
+    'contribution.hint': 'Each bar is the predictor\'s term in the linear predictor (log hazard): its value, z-scored for continuous clinical measures, ' +
+        'multiplied by the model coefficient. Bars to the right raise the risk and bars to the left lower it.',
+    'contribution.group': 'Group',
+    'contribution.predictor': 'Predictor',
+    'contribution.input': 'Model Input',
+    'contribution.coefficient': 'Coefficient',
+    'contribution.contribution': 'Contribution',
+    'contribution.linearPredictor': 'Linear predictor',
+    'contribution.chartTitle': 'Contribution of each predictor',
+    'contribution.chartDescription': 'Waterfall of {count} predictor terms adding up to a linear predictor of {linearPredictor}. ' +
+        'Largest increase: {largest}; largest decrease: {smallest}. All terms are listed in the chart data table below.',
+    'contribution.axis': 'Contribution to log hazard',
+    'omicsSteps.heading': 'What Each Omics Layer Adds',
+    'omicsSteps.step': 'Step',
+    'omicsSteps.predictors': 'Predictors',
+    'omicsSteps.risk': 'Predicted Risk',
+    'omicsSteps.change': 'Change From Previous Step',
+    'omicsSteps.cIndex': 'Model C-index',
+    'omicsSteps.hint': 'Each step adds one omics score to the clinical predictors. Scores not yet added are set to the population median (50th percentile), ' +
+        'so the last step is the full model. The C-index is that of the model fitted with the step\'s predictors; click a model to compare it in the performance tab.',
+    'omicsSteps.notMeasured': '(not measured, at the median)',
+    'omicsSteps.clinicalOnly': 'Clinical predictors only',
+    'versions.heading': 'Comparison Across Model Versions',
+    'versions.coefficientsHeading': 'Coefficient Differences',
+    'versions.coefficientsHint': 'Rows whose coefficient differs between versions are highlighted.',
+    'versions.version': 'Model Version',
+    'versions.risk': 'Predicted Risk',
+    'versions.linearPredictor': 'Linear Predictor',
+    'versions.change': 'Change vs. Version {version}',
+    'versions.variable': 'Variable',
+    'versions.versionNumber': 'Version {version}',
+    'versions.difference': 'Δ {version} vs. {primary}',
+    'whatIf.heading': 'What If? Modifiable Risk Factors',
+    'whatIf.intro': 'Change the factors below to see how the predicted risk would differ from the patient\'s current inputs. The form above is not changed.',
+    'whatIf.reset': 'Reset To Current Inputs',
+    'whatIf.current': 'Current: {value}',
+    'whatIf.currentRisk': 'Current {horizon}-Year Risk',
+    'whatIf.simulatedRisk': 'Simulated {horizon}-Year Risk',
+    'whatIf.change': '{absolute} ({relative}% relative to current)',
+    'dashboard.title': '{horizon}-Year Risk For All Outcomes',
+    'dashboard.linearPredictor': 'Linear predictor: {linearPredictor} (hazard ratio {hazardRatio})',
+    'dashboard.context': '{relativeRisk} the same-age, same-sex reference ({referenceRisk}); risk-equivalent age {riskAge}',
+    'dashboard.failed': 'Failed',
+
+    // Printable report
+    'report.button': 'Generate Report',
+    'report.title': 'Cardiovascular Disease Risk Report',
+    'report.generated': 'Generated {date}',
+    'report.riskHeading': 'Predicted {horizon}-Year Risk',
+    'report.outcome': 'Outcome',
+    'report.risk': 'Predicted risk',
+    'report.referenceRisk': 'Same-age, same-sex reference',
+    'report.relativeRisk': 'Relative risk',
+    'report.riskAge': 'Risk-equivalent age',
+    'report.cIndex': 'Model C-index',
+    'report.cIndexModel': 'The C-index shown is that of the {model} model.',
+    'report.extrapolated': 'Extrapolated: {inputs} outside the range of the training data.',
+    'report.modelHeading': 'Model',
+    'report.model': 'Cox proportional-hazards model using the {model} predictor set, version {version}.',
+    'report.inputsHeading': 'Patient Inputs',
+    'report.predictor': 'Predictor',
+    'report.value': 'Value',
+    'report.inputExcluded': 'Not measured (left out by the reduced model)',
+    'report.inputImputed': 'Not measured (imputed: {description})',
+    'report.rawScore': 'Raw score {value}',
+    'report.percentile': 'Percentile {value}',
+    'report.disclaimer': 'Disclaimer: this estimate comes from a research model developed in the UK Biobank cohort ' +
+        '(AI-based multiomics profiling for personalized prediction of cardiovascular disease) and has not been validated for clinical use. ' +
+        'It does not replace clinical judgement and should be interpreted together with the patient\'s full clinical picture.',
+
+    // Batch scoring
+    'batch.heading': 'Batch Scoring',
+    'batch.intro': 'Upload a CSV file with one patient per row to score a whole cohort at the prediction horizon selected above. ' +
+        'Columns must be named after the model variables (e.g. <code>age</code>, <code>sbp</code>, <code>male_1.0</code>, <code>current_smoking_1.0</code>, <code>prs</code>). ' +
+        'Binary variables are coded 0/1, Townsend, PRS, MetScore and ProScore are percentiles (1-100), and ethnicity is given either as an ' +
+        '<code>ethnicity</code> column (0 White, 1 Asian, 2 Black, 3 Others) or as the <code>ethnicity_1.0</code>-<code>ethnicity_3.0</code> columns. ' +
+        'Measurements must be in the model units, the first unit offered for each field in the form (mmHg, cm, kg, 10<sup>9</sup> cells/L, % and g/dL); ' +
+        'they are not converted. An optional <code>id</code> column is copied to the results.',
+    'batch.fileLabel': 'Patient File:',
+    'batch.outcomesLabel': 'Select Outcomes:',
+    'batch.scoreButton': 'Score File',
+    'batch.downloadButton': 'Download Results',
+    'batch.row': 'Row',
+    'batch.problems': 'Problems',
+    'batch.missingValue': '{name} is missing',
+    'batch.notNumber': '{name} is not a number ("{value}")',
+    'batch.notBinary': '{name} must be 0 or 1 (got {value})',
+    'batch.notPercentile': '{name} must be a percentile between 1 and 100 (got {value})',
+    'batch.notCategory': '{name} must be one of {codes} (got {value})',
+    'batch.invalidOneHot': '{name} columns ({columns}) must be 0/1 with at most one set',
+    'batch.noFile': 'Please choose a CSV file first.',
+    'batch.noOutcome': 'Please select at least one outcome.',
+    'batch.noRows': 'The file contains no patient rows.',
+    'batch.missingColumns': 'The file is missing required columns: {columns}.',
+    'batch.scored': 'Scored {scored} of {count} rows for all selected outcomes at a {horizon}-year horizon.',
+    'batch.partlyScored': { one: '{count} row was scored for some outcomes only.', other: '{count} rows were scored for some outcomes only.' },
+    'batch.notScored': { one: '{count} row could not be scored.', other: '{count} rows could not be scored.' },
+    'batch.extrapolatedRows': {
+        one: '{count} scored row has values outside the training range.',
+        other: '{count} scored rows have values outside the training range.'
+    },
+
+    // Populational predictive performance
+    'population.instructions': 'This section shows the predictive performance of models trained on various combinations of polygenic risk score (PRS), ' +
+        'MetScore, ProScore, and three predefined clinical predictor sets (i.e., AgeSex, Clin, and PANEL). Please select cardiovascular disease and predictor.',
+    'population.outcomesLabel': 'Select Cardiovascular Disease:',
+    'population.predictorLabel': 'Select Predictor:',
+    'population.omicsHint': 'Any combination of omics scores',
+    'population.baseHint': 'added to one base model',
+    'population.metricLabel': 'Select Metric:',
+    'population.deltaMetric': 'ΔC-index vs. base model',
+    'population.layoutLabel': 'Chart Layout:',
+    'population.layoutPoints': 'Points with 95% CI',
+    'population.layoutHeatmap': 'Heatmap (select a label to sort)',
+    'population.generate': 'Generate Results',
+    'performance.heading': 'Model Performance Comparison',
+    'performance.filterPlaceholder': 'Filter by model or outcome',
+    'performance.filterLabel': 'Filter results',
+    'performance.groupByOutcome': 'Group by outcome',
+    'performance.tableCaption': 'Model performance for the selected outcomes; select a column header to sort.',
+    'performance.noOutcome': 'Please select at least one cardiovascular disease.',
+    'performance.noBaseModel': 'Please select one base predictor (AgeSex, Clin, or PANEL).',
+    'performance.noData': 'No data available for the selected criteria.',
+    'performance.noMatch': 'No rows match the filter.',
+    'performance.pngFailed': 'The chart could not be rendered as PNG. Please try the SVG export instead.',
+    'performance.cIndex': 'C-index',
+    'performance.deltaCIndex': 'ΔC-index',
+    'performance.cIndexWithCI': '{value} (95% CI {lower}-{upper})',
+    'performance.model': 'Model',
+    'performance.outcome': 'Outcome',
+    'performance.deltaCIndexColumn': 'ΔC-index vs. Base Model',
+    'performance.confidenceInterval': '95% Confidence Interval',
+    'performance.excludesZero': 'CI Excludes 0',
+    'performance.interval': '{lower} to {upper}',
+    'performance.sortByWidth': 'Sort by interval width',
+    'performance.bestModel': 'Best model for {outcome} among the rows shown',
+    'performance.highest': 'Highest {metric}: {model} for {outcome}, {value}.',
+    'performance.valuesInTable': 'The values are listed in the results table below.',
+    'performance.modelCount': { one: '{count} model', other: '{count} models' },
+    'performance.outcomeCount': { one: '{count} outcome', other: '{count} outcomes' },
+    'performance.deltaAxis': 'ΔC-index vs. {model}',
+    'performance.forestDescription': {
+        one: 'Forest plot of the C-index gain over {model} with 95% confidence interval for {count} model and outcome pair; the interval excludes 0 for {significant} of {count}.',
+        other: 'Forest plot of the C-index gain over {model} with 95% confidence interval for {count} model and outcome pairs; the interval excludes 0 for {significant} of them.'
+    },
+    'performance.pointsTitle': 'C-index of the selected models',
+    'performance.pointsDescription': 'C-index with 95% confidence interval of {models} for {outcomes}.',
+    'performance.heatmapTitle': '{metric} heatmap',
+    'performance.heatmapDescription': '{metric} of {outcomes} by {models}.',
+    'performance.heatmapSortHint': 'Select an outcome or model label to sort by it.',
+    'performance.sortOutcomesBy': 'Sort outcomes by {name}',
+    'performance.sortModelsBy': 'Sort models by {name}',
+    'export.svg': 'Download SVG',
+    'export.png': 'Download PNG',
+    'export.csv': 'Download CSV',
+    'export.tsv': 'Download TSV',
+    'export.pngScale': 'PNG resolution',
+    'export.resolution': '{scale}× resolution',
+    'calibration.heading': 'Calibration and Risk Stratification',
+    'calibration.hint': 'For the selected outcomes and the model with all selected predictors. Patients are grouped into bins of predicted 10-year risk; ' +
+        'each bin counts towards the risk category of its mean predicted risk.',
+    'calibration.loadFailed': 'The calibration data ({file}) could not be loaded.',
+    'calibration.missing': 'No calibration data for {outcomes} with {model}.',
+    'calibration.noData': 'No calibration data available for the selected criteria.',
+    'calibration.categoryHeading': 'Predicted Risk by Category',
+    'calibration.calibrationHeading': 'Observed Against Predicted Risk',
+    'calibration.category': 'Risk Category',
+    'calibration.patients': 'Patients',
+    'calibration.patientCount': { one: '{formatted} patient', other: '{formatted} patients' },
+    'calibration.share': 'Share of Patients',
+    'calibration.bin': 'Bin',
+    'calibration.predicted': 'Mean Predicted Risk',
+    'calibration.observed': 'Observed Risk',
+    'calibration.below': '<{bound}',
+    'calibration.between': '{lower}-{upper}',
+    'calibration.above': '>{bound}',
+    'calibration.categoryTitle': 'Predicted 10-year risk by category',
+    'calibration.categoryDescription': 'Share of patients in each predicted 10-year risk category for {outcomes}.',
+    'calibration.highestCategory': 'Largest share above {bound}: {share} of patients for {outcome}.',
+    'calibration.chartTitle': 'Observed against predicted 10-year risk',
+    'calibration.chartDescription': 'Observed against mean predicted 10-year risk of each risk bin for {outcomes}; points on the dashed diagonal are perfectly calibrated.',
+    'calibration.largestDifference': 'Largest difference: bin {bin} for {outcome}, predicted {predicted} and observed {observed}.',
+    'calibration.binTitle': 'bin {bin}: predicted {predicted}, observed {observed}',
+    'calibration.valuesInTable': 'The values are listed in the chart data table below.'
+});
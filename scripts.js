@@ -1,96 +1,136 @@
-const diseaseMap = {
-    'cad': 'Coronary artery disease',
-    'stroke': 'Stroke',
-    'hf': 'Heart failure',
-    'af': 'Atrial fibrillation',
-    'pad': 'Peripheral artery disease',
-    'vte': 'Venous thromboembolism'
-};
+// Model registry: outcomes, variables, encodings, units and display order, loaded from model_manifest.json
+const MODEL_MANIFEST_PATH = 'model_manifest.json';
+let modelManifest = null;
+let modelVariables = {}; // Manifest variables keyed by id, in manifest order
+let modelVersion = null; // Version of the calculator's (first) coefficient set, shown on printed reports
+let calculatorModelName = null; // Canonical name (see canonicalizeModelName) of the model the personalized calculator uses
 
-// A mapping from variable ID to a user-friendly name for error messages
-const friendlyVariableNames = {
-    'age': 'Age (years)',
-    'sbp': 'Systolic Blood Pressure',
-    'dbp': 'Diastolic Blood Pressure',
-    'height': 'Height',
-    'weight': 'Weight',
-    'waist_cir': 'Waist Circumference',
-    'waist_hip_ratio': 'Waist-Hip Ratio',
-    'bmi': 'Body Mass Index',
-    'baso': 'Basophill Count',
-    'eos': 'Eosinophill Count',
-    'hct': 'Haematocrit',
-    'hb': 'Haemoglobin',
-    'lc': 'Lymphocyte Count',
-    'mc': 'Monocyte Count',
-    'nc': 'Neutrophill Count',
-    'plt': 'Platelet Count',
-    'wbc': 'Leukocyte Count'
-};
+let diseaseMap = {}; // Outcome code to display name, in display order
+
+// Outcome colors shared by the performance chart and the risk dashboard
+let diseaseColors = {};
+
+// A mapping from variable ID (including one-hot columns) to a user-friendly name for error messages and charts
+let friendlyVariableNames = {};
+
+// Display groups for the per-predictor contribution breakdown, in drawing order
+let predictorGroups = {};
 
 
 // Global variables to hold data from CSV files
-let baselineSurvivals = null;
 let cIndexData = null;
-let coefficients = null;
-let panelScalerParams = null;
-let percentiles = null; // Raw percentile data
-let percentileMap = {}; // Processed data for efficient lookup
+let deltaCIndexData = null; // Improvement of each model over its baseline_model
+let modelSets = []; // One {version, label, tables, model} per coefficient set in the manifest; the first is the calculator's
+let coxModel = null; // Scoring engine of the first model set
+let reducedModelSets = []; // Fitted models without some omics scores, {predictors, tables, model}, from the manifest's `reducedModels`
+let lastImputation = null; // How the inputs marked "not measured" in the last calculation were handled; see applyMissingDataHandling
+let inputRanges = null; // Raw plausible/supported input ranges
+let inputRangeMap = {}; // Processed ranges keyed by variable
+let lastExtrapolatedVariables = []; // Inputs of the last calculation outside the training range
+let dataDiagnostics = []; // Problems found while loading the data files, {file, line, message}; see renderDataDiagnostics
+let calibrationData = null; // Binned predicted and observed risks from the manifest's optional `calibration` file
 
 
 /**
  * A utility function to fetch and parse CSV data from a local file.
+ * Syntax errors, and deviations from the file's schema in CSV_SCHEMAS, are recorded in dataDiagnostics.
+ * An optional file only logs its problems: the calculator works without it.
  * @param {string} filePath The path to the CSV file.
- * @returns {Promise<Array<Object>>} A promise that resolves to an array of objects representing the CSV data.
+ * @param {string} [schema] The file's key in CSV_SCHEMAS, e.g. 'coefficients'.
+ * @param {boolean} [optional] Whether the page can do without the file.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of objects representing the CSV data,
+ *   or null if the file could not be loaded or is invalid.
  */
-async function loadCSVData(filePath) {
+async function loadCSVData(filePath, schema, optional = false) {
     try {
         const response = await fetch(filePath);
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status} for file ${filePath}`);
         }
         const text = await response.text();
-        const lines = text.trim().split('\n');
-        const header = lines[0].split(',').map(h => h.trim());
-        const data = lines.slice(1).map(line => {
-            const values = line.split(',').map(v => v.trim());
-            return header.reduce((obj, nextKey, index) => {
-                obj[nextKey] = values[index];
-                return obj;
-            }, {});
-        });
+        const table = parseCSVTable(text);
+        const problems = table.problems.length > 0 ? table.problems : validateCSVTable(schema, table);
+        if (problems.length > 0) {
+            if (optional) {
+                problems.forEach(problem => console.error(`${filePath}${problem.line ? `, line ${problem.line}` : ''}: ${problem.message}`));
+            } else if (!dataDiagnostics.some(d => d.file === filePath)) {
+                // A file shared by several model sets is reported once
+                problems.forEach(problem => dataDiagnostics.push({ file: filePath, ...problem }));
+            }
+            throw new Error(`${problems.length} problem(s) found in ${filePath}`);
+        }
         console.log(`Successfully loaded ${filePath}`);
-        return data;
+        return table.rows;
     } catch (error) {
         console.error(`Error loading or parsing CSV file ${filePath}:`, error);
+        if (optional) return null;
+        if (!dataDiagnostics.some(d => d.file === filePath)) {
+            dataDiagnostics.push({ file: filePath, message: t('data.fileNotLoaded', { error: error.message }) });
+        }
         document.getElementById('calculate-risk-button').disabled = true;
-        document.getElementById('calculate-risk-button').textContent = 'Error: Data failed to load';
+        document.getElementById('calculate-risk-button').textContent = t('risk.dataFailed');
         return null;
     }
 }
 
 /**
- * Processes the raw percentile data into a nested object for fast lookups.
+ * Fetches and parses a JSON file, such as the model manifest.
+ * @param {string} filePath The path to the JSON file.
+ * @returns {Promise<Object|null>} The parsed content, or null if it could not be loaded.
  */
-function preparePercentilesData() {
-    if (!percentiles) return;
-    percentiles.forEach(row => {
-        const { outcome, score, ...percentileValues } = row; 
-        if (!percentileMap[outcome]) {
-            percentileMap[outcome] = {};
-        }
-        if (!percentileMap[outcome][score]) { 
-            percentileMap[outcome][score] = {};
-        }
-        
-        for (const pKey in percentileValues) {
-             if (pKey.startsWith('p')) {
-                const percentileIndex = pKey.substring(1);
-                percentileMap[outcome][score][percentileIndex] = parseFloat(percentileValues[pKey]);
-             }
+async function loadJSONData(filePath) {
+    try {
+        const response = await fetch(filePath);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status} for file ${filePath}`);
         }
+        const data = await response.json();
+        console.log(`Successfully loaded ${filePath}`);
+        return data;
+    } catch (error) {
+        console.error(`Error loading or parsing JSON file ${filePath}:`, error);
+        dataDiagnostics.push({ file: filePath, message: t('data.fileNotLoaded', { error: error.message }) });
+        return null;
+    }
+}
+
+/**
+ * Loads the four model tables of one coefficient set listed in the manifest's `modelSets` or `reducedModels`,
+ * and checks that they fit together (see validateModelTables).
+ * @param {{version: string, label: string, predictors: string, files: Object}} modelSet The manifest entry.
+ * @returns {Promise<Object|null>} The set with its parsed `tables`, or null if a file failed to load or is invalid.
+ */
+async function loadModelSet(modelSet) {
+    const [coefficients, baselineSurvivals, panelScalerParams, percentiles] = await Promise.all([
+        loadCSVData(modelSet.files.coefficients, 'coefficients'),
+        loadCSVData(modelSet.files.baselineSurvivals, 'baselineSurvivals'),
+        loadCSVData(modelSet.files.panelScalerParams, 'panelScalerParams'),
+        loadCSVData(modelSet.files.percentiles, 'percentiles')
+    ]);
+    if (!coefficients || !baselineSurvivals || !panelScalerParams || !percentiles) return null;
+    const problems = validateModelTables({ coefficients, panelScalerParams, percentiles }, encodingsFromManifest(modelManifest));
+    if (problems.length > 0) {
+        problems.forEach(problem => dataDiagnostics.push({ file: modelSet.files[problem.file], message: problem.message }));
+        return null;
+    }
+    return {
+        version: modelSet.version,
+        label: modelSet.label,
+        predictors: modelSet.predictors,
+        tables: { coefficients, baselineSurvivals, panelScalerParams, percentiles }
+    };
+}
+
+/**
+ * Builds a scoring engine (see cox-model.js) for every loaded model set.
+ */
+function prepareModel() {
+    const encodings = encodingsFromManifest(modelManifest);
+    [...modelSets, ...reducedModelSets].forEach(modelSet => {
+        modelSet.model = createCoxModel({ ...modelSet.tables, encodings });
     });
-    console.log("Percentile data has been processed for efficient lookup.");
+    coxModel = modelSets[0].model;
+    console.log("Model tables have been processed for efficient lookup.");
 }
 
 
@@ -99,41 +139,402 @@ function preparePercentilesData() {
  */
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('DOM fully loaded. Initializing application...');
+    setLocale(detectLocale());
+    translatePage();
+    labelNumberedOptions();
+    setupLanguageSwitcher(document.getElementById('language-select'));
     
     const calcButton = document.getElementById('calculate-risk-button');
     calcButton.disabled = true;
-    calcButton.textContent = 'Loading data...';
+    calcButton.textContent = t('risk.loadingData');
+    const calcAllButton = document.getElementById('calculate-all-button');
+    calcAllButton.disabled = true;
+    setupOfflineSupport();
+
+    modelManifest = await loadJSONData(MODEL_MANIFEST_PATH);
+    if (!modelManifest) {
+        calcButton.textContent = t('risk.dataFailed');
+        renderDataDiagnostics();
+        return;
+    }
+    applyModelManifest(modelManifest);
+    const files = modelManifest.files;
 
+    let loadedSets, loadedReducedSets;
     [
-        baselineSurvivals,
         cIndexData,
-        coefficients,
-        panelScalerParams,
-        percentiles
+        inputRanges,
+        loadedSets,
+        loadedReducedSets,
+        calibrationData
     ] = await Promise.all([
-        loadCSVData('baseline_survivals.csv'),
-        loadCSVData('cindex_final.csv'),
-        loadCSVData('coefficients.csv'),
-        loadCSVData('PANEL_scaler_params.csv'),
-        loadCSVData('percentiles.csv') 
+        loadCSVData(files.cIndex, 'cIndex'),
+        loadCSVData(files.inputRanges, 'inputRanges'),
+        Promise.all(modelManifest.modelSets.map(loadModelSet)),
+        Promise.all((modelManifest.reducedModels || []).map(loadModelSet)),
+        files.calibration ? loadCSVData(files.calibration, 'calibration', true) : null
     ]);
+    modelSets = loadedSets;
+    reducedModelSets = loadedReducedSets;
 
-    if (baselineSurvivals && cIndexData && coefficients && panelScalerParams && percentiles) {
+    if (cIndexData && inputRanges && [...modelSets, ...reducedModelSets].every(modelSet => modelSet)) {
+        deltaCIndexData = cIndexData.filter(row => row.metric === 'delta_c_index');
         cIndexData = cIndexData.filter(row => row.metric === 'c_index');
         console.log(`Filtered cIndexData to ${cIndexData.length} rows with metric='c_index'`);
 
         console.log('All data loaded successfully.');
-        preparePercentilesData(); 
+        prepareModel();
+        prepareInputRanges();
         calcButton.disabled = false;
-        calcButton.textContent = 'Calculate Risk';
+        calcButton.textContent = t('risk.calculate');
+        calcAllButton.disabled = false;
         
         initializePage();
     } else {
         console.error('One or more data files failed to load. Application cannot proceed.');
-        alert('Critical data files could not be loaded. The application will not function correctly.');
+        calcButton.disabled = true;
+        calcButton.textContent = t('risk.dataFailed');
+        renderDataDiagnostics();
     }
 });
 
+// Problems listed per file before the rest are summarized
+const MAX_DIAGNOSTICS_PER_FILE = 10;
+
+/**
+ * Lists the problems in dataDiagnostics above the tabs, grouped by file, so whoever maintains the
+ * data files can see what to fix.
+ */
+function renderDataDiagnostics() {
+    const panel = document.getElementById('data-diagnostics');
+    const list = document.getElementById('data-diagnostics-list');
+    list.innerHTML = '';
+    const files = [...new Set(dataDiagnostics.map(d => d.file))];
+    files.forEach(file => {
+        const problems = dataDiagnostics.filter(d => d.file === file);
+        const item = document.createElement('li');
+        item.innerHTML = '<code></code><ul></ul>';
+        item.querySelector('code').textContent = file;
+        problems.slice(0, MAX_DIAGNOSTICS_PER_FILE).forEach(problem => {
+            const entry = document.createElement('li');
+            entry.textContent = problem.line ? t('data.problemAtLine', { line: problem.line, message: problem.message }) : problem.message;
+            item.querySelector('ul').appendChild(entry);
+        });
+        if (problems.length > MAX_DIAGNOSTICS_PER_FILE) {
+            const more = document.createElement('li');
+            more.textContent = t('data.moreProblems', { count: problems.length - MAX_DIAGNOSTICS_PER_FILE });
+            item.querySelector('ul').appendChild(more);
+        }
+        list.appendChild(item);
+    });
+    panel.style.display = files.length > 0 ? 'block' : 'none';
+}
+
+
+// --- Offline use: service worker and cached data ---
+
+const SERVICE_WORKER_PATH = 'service-worker.js';
+
+/**
+ * Sends a request to the active service worker and waits for its reply (see the message handler in service-worker.js).
+ * @param {Object} message E.g. {type: 'get-data-info'} or {type: 'update-data'}.
+ * @returns {Promise<{ok: boolean, info: (Object|undefined), error: (string|undefined)}>}
+ */
+async function postToServiceWorker(message) {
+    const registration = await navigator.serviceWorker.ready;
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = event => resolve(event.data);
+        registration.active.postMessage(message, [channel.port2]);
+    });
+}
+
+/**
+ * Shows which model data is cached for offline use and whether the browser is currently offline.
+ * @param {Object|null} info The cached data description kept by the service worker.
+ */
+function renderDataStatus(info) {
+    const text = document.getElementById('data-status-text');
+    if (!info) {
+        text.textContent = t('offline.notCached');
+        return;
+    }
+    const versions = info.versions.map(v => `${v.version} (${v.label})`).join(', ');
+    const updated = new Date(info.updated).toLocaleDateString(currentLocale, { year: 'numeric', month: 'short', day: 'numeric' });
+    text.textContent = t('offline.cached', { versions, updated }) + (navigator.onLine ? '' : ` ${t('offline.inUse')}`);
+}
+
+async function refreshDataStatus() {
+    const reply = await postToServiceWorker({ type: 'get-data-info' });
+    renderDataStatus(reply.ok ? reply.info : null);
+}
+
+/**
+ * Checks for a new service worker, has it download the application shell and the data files again,
+ * and reloads the page so they take effect. A failed download leaves the cached copies in use.
+ */
+async function updateCachedData() {
+    const button = document.getElementById('data-update-button');
+    const text = document.getElementById('data-status-text');
+    button.disabled = true;
+    text.textContent = t('offline.updating');
+    const registration = await navigator.serviceWorker.ready;
+    try {
+        await registration.update();
+    } catch (error) {
+        console.error('The application could not be checked for updates:', error);
+    }
+    const reply = await postToServiceWorker({ type: 'update-data' });
+    if (reply.ok) {
+        location.reload();
+        return;
+    }
+    console.error('The data files could not be updated:', reply.error);
+    button.disabled = false;
+    await refreshDataStatus();
+    text.textContent += ` ${t('offline.updateFailed')}`;
+}
+
+/**
+ * Registers the service worker that caches the application and its data after the first visit, and
+ * wires up the cached data indicator. Browsers without service workers, and pages opened from the
+ * file system, work online only.
+ */
+function setupOfflineSupport() {
+    const text = document.getElementById('data-status-text');
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+        text.textContent = t('offline.unavailable');
+        return;
+    }
+    navigator.serviceWorker.register(SERVICE_WORKER_PATH)
+        .then(() => refreshDataStatus())
+        .catch(error => {
+            console.error('The service worker could not be registered:', error);
+            text.textContent = t('offline.registrationFailed');
+        });
+    // The first visit is cached while it loads; the controller changes once the worker takes over
+    navigator.serviceWorker.addEventListener('controllerchange', refreshDataStatus);
+    window.addEventListener('online', refreshDataStatus);
+    window.addEventListener('offline', refreshDataStatus);
+
+    const button = document.getElementById('data-update-button');
+    button.style.display = '';
+    button.addEventListener('click', updateCachedData);
+}
+
+
+// --- Model registry ---
+
+/**
+ * Builds the outcome, variable and display tables from the manifest and renders the
+ * parts of the page that list outcomes or variables.
+ * @param {Object} manifest The parsed model_manifest.json.
+ */
+function applyModelManifest(manifest) {
+    modelVersion = manifest.modelSets[0].version;
+    calculatorModelName = manifest.calculatorModel;
+    modelVariables = Object.fromEntries(manifest.variables.map(v => [v.id, v]));
+
+    diseaseMap = Object.fromEntries(manifest.outcomes.map(o => [o.code, manifestText(`outcome.${o.code}`, o.name)]));
+    diseaseColors = Object.fromEntries(manifest.outcomes.map(o => [o.code, o.color]));
+
+    friendlyVariableNames = {};
+    predictorGroups = Object.fromEntries(manifest.groups.map(group => [group, []]));
+    unitDefinitions = {};
+    whatIfFactors = [];
+    manifest.variables.forEach(variable => {
+        const label = getVariableLabel(variable);
+        friendlyVariableNames[variable.id] = label;
+        if (variable.units) unitDefinitions[variable.id] = variable.units;
+        if (variable.auxiliary) return;
+
+        // Categorical variables enter the model, and so the contribution chart, as their one-hot columns
+        const terms = variable.type === 'categorical'
+            ? variable.levels.filter(l => l.column).map(l => l.column)
+            : [variable.id];
+        if (variable.type === 'categorical') {
+            variable.levels.filter(l => l.column).forEach(l => {
+                friendlyVariableNames[l.column] = `${label}: ${getOptionLabel(variable, l.value)}`;
+            });
+        }
+        if (variable.group) {
+            if (!predictorGroups[variable.group]) predictorGroups[variable.group] = [];
+            predictorGroups[variable.group].push(...terms);
+        }
+
+        if (variable.whatIf && variable.type === 'binary') {
+            whatIfFactors.push({ variable: variable.id, type: 'binary' });
+        } else if (variable.whatIf) {
+            const unit = getModelUnit(variable);
+            whatIfFactors.push({
+                variable: variable.id,
+                type: 'number',
+                label: unit ? `${label} (${unit})` : label,
+                step: variable.whatIf.step || variable.step || 1
+            });
+        }
+    });
+
+    renderOutcomeOptions(manifest.outcomes);
+    renderModelInputs(manifest.variables);
+}
+
+/**
+ * The unit the model expects a continuous variable in: the first of its selectable units, or its fixed unit.
+ * @param {Object} variable A manifest variable.
+ * @returns {string} The unit, or '' if it has none.
+ */
+function getModelUnit(variable) {
+    return variable.units ? Object.keys(variable.units)[0] : (variable.unit || '');
+}
+
+/**
+ * Lists the manifest variables that enter the model, optionally of one type.
+ * @param {string} [type] 'continuous', 'percentile', 'binary' or 'categorical'.
+ * @returns {Array<Object>} The variables in manifest order.
+ */
+function getModelVariables(type) {
+    return Object.values(modelVariables).filter(v => !v.auxiliary && (!type || v.type === type));
+}
+
+/**
+ * Translates a text of the manifest. The manifest holds the English text; a catalogue may override it
+ * under a key derived from the stable ids, e.g. `outcome.cad`, `variable.sbp` or `variable.male_1.0.option.0`.
+ * @param {string} key The message key.
+ * @param {string} text The manifest's text.
+ * @returns {string}
+ */
+function manifestText(key, text) {
+    return hasMessage(key) ? t(key) : text;
+}
+
+/**
+ * An outcome's name for use within a sentence. English lower-cases the manifest name; other languages
+ * may catalogue their own form under `outcome.<code>.inText`.
+ * @param {string} code The outcome code.
+ * @returns {string}
+ */
+function getOutcomeNameInText(code) {
+    return manifestText(`outcome.${code}.inText`, (diseaseMap[code] || code).toLowerCase());
+}
+
+function getVariableLabel(variable) {
+    return manifestText(`variable.${variable.id}`, variable.label);
+}
+
+/**
+ * The choices of a binary or categorical variable, with their labels in the current language.
+ * @param {Object} variable A manifest variable.
+ * @returns {Array<{value: number, label: string}>}
+ */
+function getOptions(variable) {
+    const options = variable.type === 'categorical'
+        ? variable.levels
+        : variable.options || [{ value: 1, label: t('option.yes') }, { value: 0, label: t('option.no') }];
+    return options.map(o => ({ ...o, label: manifestText(`variable.${variable.id}.option.${o.value}`, o.label) }));
+}
+
+function getOptionLabel(variable, value) {
+    const option = getOptions(variable).find(o => o.value === value);
+    return option ? option.label : String(value);
+}
+
+/**
+ * Fills every outcome picker (calculator, batch scoring and performance tab) in manifest order.
+ * @param {Array<{code: string, name: string}>} outcomes The manifest outcomes.
+ */
+function renderOutcomeOptions(outcomes) {
+    document.getElementById('disease-select').innerHTML = outcomes
+        .map((o, index) => `<option value="${o.code}"${index === 0 ? ' selected' : ''}>${diseaseMap[o.code]}</option>`).join('');
+    document.getElementById('batch-outcomes').innerHTML = outcomes
+        .map(o => `<label><input type="checkbox" name="batch-outcome" value="${o.code}" checked> ${diseaseMap[o.code]}</label>`).join('\n');
+    document.getElementById('cvd-options').innerHTML = outcomes
+        .map(o => `<label><input type="checkbox" name="cvd" value="${o.code}"> ${diseaseMap[o.code]}</label>`).join('\n');
+}
+
+function renderTooltip(variable) {
+    if (!variable.tooltip) return '';
+    return `<div class="info-tooltip"><span class="info-icon">i</span><span class="tooltip-text">${manifestText(`variable.${variable.id}.tooltip`, variable.tooltip)}</span></div>`;
+}
+
+/**
+ * Renders the input of one manifest variable as a form group.
+ * @param {Object} variable A manifest variable.
+ * @returns {string} The form group's HTML.
+ */
+function renderModelInput(variable) {
+    const variableLabel = getVariableLabel(variable);
+    const hint = variable.hint ? `<div class="form-hint">${manifestText(`variable.${variable.id}.hint`, variable.hint)}</div>` : '';
+    let label = variableLabel;
+    let control;
+    if (variable.type === 'percentile') {
+        control = `
+            <select class="form-control score-mode-select" id="${variable.id}-mode" data-variable="${variable.id}" aria-label="${t('input.scoreModeLabel', { label: variableLabel })}">
+                <option value="percentile" selected>${t('input.percentile')}</option>
+                <option value="raw">${t('input.rawScore')}</option>
+            </select>
+            <div class="slider-container">
+                <input type="range" class="slider" id="${variable.id}" min="1" max="100" step="1" value="${variable.default}">
+                <div>${t('input.sliderValue')} <span id="${variable.id}-value">${variable.default}</span></div>
+            </div>
+            <div class="raw-score-input" style="display: none;">
+                <input type="number" id="${variable.id}-raw" class="form-control" step="any" placeholder="${t('input.rawScorePlaceholder', { label: variableLabel })}">
+                <div class="form-hint" id="${variable.id}-implied"></div>
+            </div>`;
+    } else if (variable.type === 'binary' || variable.type === 'categorical') {
+        const options = getOptions(variable);
+        control = `
+            <div class="button-group" data-variable="${variable.id}" aria-labelledby="${variable.id}-label">
+                ${options.map(o => `<div class="button-option${o.value === variable.default ? ' selected' : ''}" data-value="${o.value}">${o.label}</div>`).join('')}
+            </div>`;
+    } else {
+        const step = variable.step ? ` step="${variable.step}"` : '';
+        const value = variable.default !== undefined ? ` value="${variable.default}"` : '';
+        const placeholder = variable.placeholder ? ` placeholder="${manifestText(`variable.${variable.id}.placeholder`, variable.placeholder)}"` : '';
+        const input = `<input type="number" id="${variable.id}" class="form-control"${step}${value}${placeholder}>`;
+        if (variable.units) {
+            control = `
+            <div class="input-with-unit">
+                ${input}
+                <select class="form-control unit-select" id="${variable.id}-unit" data-variable="${variable.id}" aria-label="${t('input.unitLabel', { label: variableLabel })}"></select>
+            </div>`;
+        } else {
+            if (variable.unit) label = `${variableLabel} (${variable.unit})`;
+            control = input;
+        }
+    }
+    const notMeasured = variable.missable
+        ? `<label class="not-measured"><input type="checkbox" class="not-measured-toggle" data-variable="${variable.id}"> ${t('input.notMeasured')}</label>`
+        : '';
+    return `
+        <div class="form-group">
+            <div class="form-label" id="${variable.id}-label">
+                ${label}
+                ${renderTooltip(variable)}
+            </div>${control}
+            ${notMeasured}
+            ${hint}
+        </div>`;
+}
+
+/**
+ * Renders the calculator's inputs from the manifest, one form row per `formRow`.
+ * @param {Array<Object>} variables The manifest variables in display order.
+ */
+function renderModelInputs(variables) {
+    const rows = [];
+    variables.forEach(variable => {
+        let row = rows.find(r => r.key === variable.formRow);
+        if (!row) {
+            row = { key: variable.formRow, variables: [] };
+            rows.push(row);
+        }
+        row.variables.push(variable);
+    });
+    document.getElementById('model-inputs').innerHTML = rows
+        .map(row => `<div class="form-row">${row.variables.map(renderModelInput).join('')}</div>`)
+        .join('');
+}
 
 /**
  * Sets up all the interactive elements on the page.
@@ -141,38 +542,101 @@ document.addEventListener('DOMContentLoaded', async () => {
 function initializePage() {
     initializeButtons();
     setupRiskCalculator();
+    setupBatchScoring();
     setupPerformanceComparison();
     initializeSliders();
     setupAutoCalculations();
+    setupUnitSelectors();
+    setupMissingInputs();
+    setupRawScoreInputs();
+    setupScenarioState();
 }
 
 /**
- * Adds event listeners to all button groups and sliders.
+ * Adds event listeners to all button groups.
  */
 function initializeButtons() {
-    document.querySelectorAll('.button-group').forEach(group => {
-        group.querySelectorAll('.button-option').forEach(button => {
-            button.addEventListener('click', function() {
-                group.querySelectorAll('.button-option').forEach(sib => sib.classList.remove('selected'));
-                this.classList.add('selected');
-            });
-        });
+    document.querySelectorAll('.button-group').forEach(group => setupButtonGroup(group));
+}
+
+/**
+ * Selects one option of a button group, keeping its radio state (aria-checked, and the group's
+ * single tab stop on the selected option) in step with the `selected` class.
+ * @param {HTMLElement} option The `.button-option` to select.
+ */
+function selectButtonOption(option) {
+    option.parentElement.querySelectorAll('.button-option').forEach(sibling => {
+        const selected = sibling === option;
+        sibling.classList.toggle('selected', selected);
+        sibling.setAttribute('aria-checked', String(selected));
+        sibling.tabIndex = selected ? 0 : -1;
     });
+}
 
-    const exclusiveCheckboxes = document.querySelectorAll('.exclusive');
-    exclusiveCheckboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', function() {
-            if (this.checked) {
-                exclusiveCheckboxes.forEach(otherCheckbox => {
-                    if (otherCheckbox !== this) otherCheckbox.checked = false;
-                });
-            }
+/**
+ * Makes a group of `.button-option` elements behave as a radio group: each option can be clicked,
+ * the arrow keys (and Home/End) move to and select the next option, and Space or Enter selects the focused one.
+ * @param {HTMLElement} group The `.button-group` element.
+ * @param {function(HTMLElement)} [onSelect] Called with the option after it is selected.
+ */
+function setupButtonGroup(group, onSelect) {
+    const options = Array.from(group.querySelectorAll('.button-option'));
+    const selected = group.querySelector('.button-option.selected');
+    group.setAttribute('role', 'radiogroup');
+    options.forEach(option => {
+        option.setAttribute('role', 'radio');
+        option.setAttribute('aria-checked', String(option === selected));
+        option.tabIndex = option === (selected || options[0]) ? 0 : -1;
+        option.addEventListener('click', () => {
+            selectButtonOption(option);
+            if (onSelect) onSelect(option);
         });
     });
+
+    group.addEventListener('keydown', event => {
+        const index = options.indexOf(document.activeElement);
+        if (index === -1) return;
+        const target = {
+            ArrowRight: options[(index + 1) % options.length],
+            ArrowDown: options[(index + 1) % options.length],
+            ArrowLeft: options[(index - 1 + options.length) % options.length],
+            ArrowUp: options[(index - 1 + options.length) % options.length],
+            Home: options[0],
+            End: options[options.length - 1],
+            ' ': options[index],
+            Enter: options[index]
+        }[event.key];
+        if (!target) return;
+        event.preventDefault();
+        target.focus();
+        // A click runs the same listeners as the mouse, including the scenario state update
+        target.click();
+    });
+}
+
+/**
+ * Shows a message in a notice element. Notices are live regions, so screen readers announce the message.
+ * @param {string} elementId The notice's id.
+ * @param {string} message The text; empty to clear the notice.
+ * @param {string} [level] 'error' or 'warning'.
+ */
+function showNotice(elementId, message, level) {
+    const notice = document.getElementById(elementId);
+    notice.className = `input-notice${message && level ? ` ${level}` : ''}`;
+    notice.textContent = message;
+}
+
+/**
+ * Escapes text for interpolation into an HTML template, e.g. error messages that echo input values.
+ * @param {string} text The plain text.
+ * @returns {string} The text with &, <, >, " and ' replaced by character references.
+ */
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
 }
 
 function initializeSliders() {
-    ['townsend', 'prs', 'metscore', 'proscore'].forEach(key => {
+    getModelVariables('percentile').map(v => v.id).forEach(key => {
         const slider = document.getElementById(key);
         if (slider) {
             slider.addEventListener('input', function() {
@@ -183,8 +647,8 @@ function initializeSliders() {
 }
 
 function calculateBMI() {
-    const heightCm = parseFloat(document.getElementById('height').value);
-    const weightKg = parseFloat(document.getElementById('weight').value);
+    const heightCm = readInputInModelUnits('height');
+    const weightKg = readInputInModelUnits('weight');
     const bmiInput = document.getElementById('bmi');
 
     if (heightCm > 0 && weightKg > 0) {
@@ -194,212 +658,1862 @@ function calculateBMI() {
     }
 }
 
+function calculateWaistHipRatio() {
+    const waistCm = readInputInModelUnits('waist_cir');
+    const hipCm = readInputInModelUnits('hip_cir');
+    const ratioInput = document.getElementById('waist_hip_ratio');
+
+    if (waistCm > 0 && hipCm > 0) {
+        ratioInput.value = (waistCm / hipCm).toFixed(2);
+    }
+}
+
 function setupAutoCalculations() {
-    document.getElementById('height').addEventListener('input', calculateBMI);
-    document.getElementById('weight').addEventListener('input', calculateBMI);
+    // Derived inputs are only wired up when the manifest defines all of their inputs
+    if (['height', 'weight', 'bmi'].every(id => document.getElementById(id))) {
+        document.getElementById('height').addEventListener('input', calculateBMI);
+        document.getElementById('weight').addEventListener('input', calculateBMI);
+    }
+    if (['waist_cir', 'hip_cir', 'waist_hip_ratio'].every(id => document.getElementById(id))) {
+        document.getElementById('waist_cir').addEventListener('input', calculateWaistHipRatio);
+        document.getElementById('hip_cir').addEventListener('input', calculateWaistHipRatio);
+    }
 }
 
+// --- Unit conversion for lab and anthropometric inputs ---
+
+const UNITS_STORAGE_KEY = 'cardiomicscore.units';
 
-function getDiseaseCode(diseaseName) {
-    const reverseMap = Object.fromEntries(Object.entries(diseaseMap).map(([code, name]) => [name, code]));
-    return reverseMap[diseaseName];
+// Accepted units per input, from the manifest's `units`: the factor converting one unit into
+// the model's unit, which is listed first
+let unitDefinitions = {};
+
+function getSelectedUnit(variable) {
+    const select = document.getElementById(`${variable}-unit`);
+    return select ? select.value : null;
 }
 
+/**
+ * Converts a value entered in the selected unit of an input into the model's unit.
+ * @param {string} variable The input's id.
+ * @param {string|number} value The entered value.
+ * @returns {string|number} The converted number, or the value unchanged if no conversion applies.
+ */
+function toModelUnits(variable, value) {
+    const factor = unitDefinitions[variable]?.[getSelectedUnit(variable)];
+    const number = parseFloat(value);
+    if (!factor || factor === 1 || isNaN(number)) return value;
+    return number * factor;
+}
 
-function collectFormData() {
-    const formData = {};
+function readInputInModelUnits(variable) {
+    return parseFloat(toModelUnits(variable, document.getElementById(variable).value));
+}
 
-    const continuousVars = [
-        'age', 'sbp', 'dbp', 'height', 'weight', 'waist_cir', 
-        'waist_hip_ratio', 'bmi', 'baso', 'eos', 'hct', 'hb', 
-        'lc', 'mc', 'nc', 'plt', 'wbc'
-    ];
-    continuousVars.forEach(varName => {
-        formData[varName] = document.getElementById(varName).value;
-    });
-    
-    const sliderVars = ['townsend', 'prs', 'metscore', 'proscore'];
-    sliderVars.forEach(varName => {
-        formData[varName] = document.getElementById(varName).value;
+/**
+ * Re-expresses an input's value when its unit changes, so the quantity itself stays the same.
+ * @param {string} variable The input's id.
+ * @param {string} fromUnit The previous unit.
+ * @param {string} toUnit The newly selected unit.
+ */
+function convertInputValue(variable, fromUnit, toUnit) {
+    const input = document.getElementById(variable);
+    const value = parseFloat(input.value);
+    if (isNaN(value)) return;
+    const converted = value * unitDefinitions[variable][fromUnit] / unitDefinitions[variable][toUnit];
+    input.value = parseFloat(converted.toPrecision(4));
+}
+
+function saveUnitPreferences() {
+    const preferences = {};
+    document.querySelectorAll('.unit-select').forEach(select => {
+        preferences[select.dataset.variable] = select.value;
     });
+    localStorage.setItem(UNITS_STORAGE_KEY, JSON.stringify(preferences));
+}
 
-    formData['male_1.0'] = document.querySelector('.form-group .button-group .button-option:nth-child(1).selected')?.textContent === 'Male' ? 1 : 0;
-    
-    const ethnicityButton = document.querySelector('.form-group .button-group .button-option.selected');
-    formData['ethnicity'] = parseInt(ethnicityButton.getAttribute('data-value'));
-
-    const binaryMappings = {
-        "Current Smoking": "current_smoking_1.0",
-        "Daily Alcohol Intake": "daily_drinking_1.0",
-        "Healthy Sleep": "healthy_sleep_1.0",
-        "Physical activity": "physical_act_1.0",
-        "Healthy diet": "healthy_diet_1.0",
-        "Social connection": "social_active_1.0",
-        "Family History of Heart Disease": "family_heart_hist_1.0",
-        "Family History of Stroke": "family_stroke_hist_1.0",
-        "Family History of Hypertension": "family_hypt_hist_1.0",
-        "Family History of Diabetes": "family_diab_hist_1.0",
-        "History of Hypertension": "hypt_hist_1.0",
-        "History of Diabetes": "diab_hist_1.0",
-        "Lipid-lowering Medication": "lipidlower_1.0",
-        "Antihypertensive Medication": "antihypt_1.0"
-    };
+/**
+ * Fills the unit selectors, applies the units remembered from the last visit and
+ * converts values whenever the user switches units.
+ */
+function setupUnitSelectors() {
+    let savedUnits = {};
+    try {
+        savedUnits = JSON.parse(localStorage.getItem(UNITS_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.error('Saved unit preferences could not be read:', e);
+    }
 
-    Object.entries(binaryMappings).forEach(([labelText, varName]) => {
-        const formGroup = Array.from(document.querySelectorAll('.form-group')).find(group => {
-            const label = group.querySelector('.form-label');
-            return label && label.textContent.trim() === labelText;
+    document.querySelectorAll('.unit-select').forEach(select => {
+        const variable = select.dataset.variable;
+        const units = Object.keys(unitDefinitions[variable] || {});
+        units.forEach(unit => {
+            const option = document.createElement('option');
+            option.value = unit;
+            option.textContent = unit;
+            select.appendChild(option);
         });
-        if (formGroup) {
-            const selectedOption = formGroup.querySelector('.button-option.selected');
-            formData[varName] = selectedOption ? parseInt(selectedOption.getAttribute('data-value')) : 0;
+        select.dataset.previousUnit = units[0];
+
+        if (units.includes(savedUnits[variable]) && savedUnits[variable] !== units[0]) {
+            select.value = savedUnits[variable];
+            convertInputValue(variable, units[0], select.value);
+            select.dataset.previousUnit = select.value;
         }
+
+        select.addEventListener('change', () => {
+            convertInputValue(variable, select.dataset.previousUnit, select.value);
+            select.dataset.previousUnit = select.value;
+            saveUnitPreferences();
+        });
     });
+}
 
-    return formData;
+// --- Shareable scenarios: URL hash state and saved profiles ---
+
+const PROFILES_STORAGE_KEY = 'cardiomicscore.profiles';
+
+/**
+ * Serializes the calculator form and the population-tab selections into a query string.
+ * Button groups are keyed by their data-variable attribute, inputs, unit and score-mode selectors by their id.
+ * @returns {string} The state, e.g. "disease=cad&horizon=10&age=55&male_1.0=1&...&missing=proscore&imputation=impute&cvd=cad,hf&predictor=PANEL&...".
+ */
+function getFormState() {
+    const params = new URLSearchParams();
+    params.set('disease', document.querySelector('#disease-select').value);
+    params.set('horizon', document.querySelector('#horizon-select').value);
+    document.querySelectorAll('#risk-calculator-form .unit-select, #risk-calculator-form .score-mode-select').forEach(select => {
+        params.set(select.id, select.value);
+    });
+    document.querySelectorAll('#risk-calculator-form .form-container input[id]').forEach(input => {
+        params.set(input.id, input.value);
+    });
+    document.querySelectorAll('#risk-calculator-form .button-group[data-variable]').forEach(group => {
+        const selected = group.querySelector('.button-option.selected');
+        if (selected) params.set(group.dataset.variable, selected.dataset.value);
+    });
+    params.set('missing', getNotMeasuredVariables().join(','));
+    params.set('imputation', document.getElementById('imputation-mode').value);
+    ['cvd', 'predictor', 'metric', 'chart-layout'].forEach(name => {
+        const checked = Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(c => c.value);
+        params.set(name, checked.join(','));
+    });
+    return params.toString();
 }
 
+/**
+ * Restores a state produced by getFormState. Keys that are missing or unknown are left as they are.
+ * @param {string} stateString The serialized state.
+ */
+function applyFormState(stateString) {
+    const params = new URLSearchParams(stateString);
 
-function calculateRisk() {
-    const formData = collectFormData();
-    const parsedData = {};
+    if (diseaseMap[params.get('disease')]) document.querySelector('#disease-select').value = params.get('disease');
+    const horizonSelect = document.querySelector('#horizon-select');
+    if (Array.from(horizonSelect.options).some(o => o.value === params.get('horizon'))) {
+        horizonSelect.value = params.get('horizon');
+    }
 
-    for (const key in formData) {
-        if(key === 'male_1.0' || key.startsWith('ethnicity') || key.includes('_1.0')) {
-             parsedData[key] = formData[key];
-             continue;
-        }
-        const value = parseFloat(formData[key]);
-        if (isNaN(value)) {
-            const friendlyName = friendlyVariableNames[key] || key;
-            alert(`Please enter a valid number for: ${friendlyName}`);
-            return; 
+    document.querySelectorAll('#risk-calculator-form .unit-select').forEach(select => {
+        if (Array.from(select.options).some(o => o.value === params.get(select.id))) {
+            select.value = params.get(select.id);
+            select.dataset.previousUnit = select.value;
         }
-        parsedData[key] = value;
+    });
+    document.querySelectorAll('#risk-calculator-form .form-container input[id]').forEach(input => {
+        if (params.has(input.id)) input.value = params.get(input.id);
+        if (input.type === 'range') updateSliderValue(`${input.id}-value`, input.value);
+    });
+    document.querySelectorAll('#risk-calculator-form .score-mode-select').forEach(select => {
+        if (Array.from(select.options).some(o => o.value === params.get(select.id))) select.value = params.get(select.id);
+        syncScoreInputMode(select);
+    });
+    document.querySelectorAll('#risk-calculator-form .button-group[data-variable]').forEach(group => {
+        const value = params.get(group.dataset.variable);
+        const option = group.querySelector(`.button-option[data-value="${value}"]`);
+        if (option) selectButtonOption(option);
+    });
+    if (params.has('missing')) {
+        const missing = params.get('missing').split(',');
+        document.querySelectorAll('.not-measured-toggle').forEach(toggle => {
+            toggle.checked = missing.includes(toggle.dataset.variable);
+            syncNotMeasured(toggle);
+        });
     }
+    const imputationSelect = document.getElementById('imputation-mode');
+    if (Array.from(imputationSelect.options).some(o => o.value === params.get('imputation'))) {
+        imputationSelect.value = params.get('imputation');
+    }
+    ['cvd', 'predictor', 'metric', 'chart-layout'].forEach(name => {
+        if (!params.has(name)) return;
+        const values = params.get(name).split(',');
+        document.querySelectorAll(`input[name="${name}"]`).forEach(checkbox => {
+            checkbox.checked = values.includes(checkbox.value);
+        });
+    });
+}
 
-    const diseaseSelect = document.querySelector('#disease-select');
-    const selectedDiseaseName = diseaseSelect.options[diseaseSelect.selectedIndex].text;
-    document.querySelector('#selected-disease-name').textContent = selectedDiseaseName;
-    document.querySelector('#selected-disease-desc').textContent = selectedDiseaseName.toLowerCase();
-    document.querySelector('#disease-risk').textContent = 'Calculating...';
-    document.querySelector('#risk-results').style.display = 'block';
-    document.querySelector('#risk-results').scrollIntoView({ behavior: 'smooth' });
-
-    
-    const ethnicityValue = parsedData.ethnicity;
-    parsedData['ethnicity_1.0'] = 0;
-    parsedData['ethnicity_2.0'] = 0;
-    parsedData['ethnicity_3.0'] = 0;
-    switch (ethnicityValue) {
-        case 1: parsedData['ethnicity_1.0'] = 1; break;
-        case 2: parsedData['ethnicity_2.0'] = 1; break;
-        case 3: parsedData['ethnicity_3.0'] = 1; break;
-    }
-    delete parsedData.ethnicity;
-    
-    const selectedDiseaseCode = getDiseaseCode(selectedDiseaseName);
+function updateStateHash() {
+    history.replaceState(null, '', `#${getFormState()}`);
+}
 
-    const percentileVars = ['townsend', 'prs', 'metscore', 'proscore'];
-    for (const pVar of percentileVars) {
-        const percentileValue = parsedData[pVar];
-        try {
-            const actualScore = percentileMap[selectedDiseaseCode][pVar][percentileValue];
-            if (actualScore === undefined) {
-                throw new Error(`Value not found for p${percentileValue}`);
-            }
-            parsedData[pVar] = actualScore; 
-        } catch (e) {
-            alert(`Could not find percentile mapping for "${pVar}" for the selected disease. Please check the 'percentiles.csv' file.`);
-            console.error(`Error looking up percentile for ${pVar}:`, e);
-            return;
-        }
+function loadSavedProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.error('Saved profiles could not be read:', e);
+        return {};
     }
+}
 
-    const scaledData = {};
-    const panelVars = [
-        'age', 'sbp', 'dbp', 'height', 'weight', 'waist_cir', 'waist_hip_ratio', 
-        'bmi', 'baso', 'eos', 'hct', 'hb', 'lc', 'mc', 'nc', 'plt', 'wbc'
-    ];
-    
-    let scalingError = false;
-    panelVars.forEach(v => {
-        if (scalingError) return;
-        const params = panelScalerParams.find(p => p.feature === v);
-        
-        if (params) {
-            const mean = parseFloat(params.mean);
-            const variance = parseFloat(params.variance);
-            const std = Math.sqrt(variance);
-            if (std === 0) {
-                console.error(`Standard deviation is zero for variable: '${v}'. Cannot scale.`);
-                alert(`Error: Scaling parameter for '${v}' is invalid (Standard Deviation is 0).`);
-                scalingError = true;
-                return;
-            }
-            scaledData[v] = (parsedData[v] - mean) / std;
-        } else {
-            console.error(`Could not find scaling parameters for variable: '${v}'. Please check 'PANEL_scaler_params.csv'.`);
-            alert(`Error: Scaling parameters for '${v}' are missing. The calculation cannot proceed.`);
-            scalingError = true;
-        }
+function storeSavedProfiles(profiles) {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+    renderProfileList();
+}
+
+function renderProfileList(selectedName) {
+    const select = document.getElementById('profile-select');
+    const names = Object.keys(loadSavedProfiles()).sort((a, b) => a.localeCompare(b));
+    select.innerHTML = names.length === 0 ? `<option value="">${t('profiles.none')}</option>` : '';
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
     });
+    if (selectedName && names.includes(selectedName)) select.value = selectedName;
+}
 
-    if (scalingError) {
-        document.querySelector('#disease-risk').textContent = '--';
-        return;
+function saveProfile() {
+    const name = prompt(t('profiles.namePrompt'));
+    if (!name || !name.trim()) return;
+    const profiles = loadSavedProfiles();
+    if (profiles[name.trim()] && !confirm(t('profiles.replaceConfirm', { name: name.trim() }))) return;
+    profiles[name.trim()] = getFormState();
+    storeSavedProfiles(profiles);
+    renderProfileList(name.trim());
+}
+
+function loadProfile() {
+    const name = document.getElementById('profile-select').value;
+    const profiles = loadSavedProfiles();
+    if (!profiles[name]) return;
+    applyFormState(profiles[name]);
+    updateStateHash();
+}
+
+function renameProfile() {
+    const oldName = document.getElementById('profile-select').value;
+    const profiles = loadSavedProfiles();
+    if (!profiles[oldName]) return;
+    const newName = prompt(t('profiles.renamePrompt'), oldName);
+    if (!newName || !newName.trim() || newName.trim() === oldName) return;
+    if (profiles[newName.trim()] && !confirm(t('profiles.replaceConfirm', { name: newName.trim() }))) return;
+    profiles[newName.trim()] = profiles[oldName];
+    delete profiles[oldName];
+    storeSavedProfiles(profiles);
+    renderProfileList(newName.trim());
+}
+
+function deleteProfile() {
+    const name = document.getElementById('profile-select').value;
+    const profiles = loadSavedProfiles();
+    if (!profiles[name] || !confirm(t('profiles.deleteConfirm', { name }))) return;
+    delete profiles[name];
+    storeSavedProfiles(profiles);
+}
+
+async function copyScenarioLink() {
+    updateStateHash();
+    const status = document.getElementById('profile-status');
+    try {
+        await navigator.clipboard.writeText(location.href);
+        status.textContent = t('profiles.linkCopied');
+    } catch (e) {
+        status.textContent = t('profiles.copyLink', { url: location.href });
+    }
+}
+
+/**
+ * Restores the scenario in the URL hash, keeps the hash in sync with the form
+ * and wires up the saved-profile controls.
+ */
+function setupScenarioState() {
+    if (location.hash.length > 1) applyFormState(location.hash.substring(1));
+
+    document.getElementById('risk-calculator-form').addEventListener('input', updateStateHash);
+    document.getElementById('risk-calculator-form').addEventListener('change', updateStateHash);
+    document.querySelectorAll('#risk-calculator-form .button-option').forEach(button => {
+        button.addEventListener('click', updateStateHash);
+    });
+    document.querySelectorAll('input[name="cvd"], input[name="predictor"], input[name="metric"], input[name="chart-layout"]').forEach(checkbox => {
+        checkbox.addEventListener('change', updateStateHash);
+    });
+    window.addEventListener('hashchange', () => applyFormState(location.hash.substring(1)));
+
+    document.getElementById('profile-save-button').addEventListener('click', saveProfile);
+    document.getElementById('profile-load-button').addEventListener('click', loadProfile);
+    document.getElementById('profile-rename-button').addEventListener('click', renameProfile);
+    document.getElementById('profile-delete-button').addEventListener('click', deleteProfile);
+    document.getElementById('copy-link-button').addEventListener('click', copyScenarioLink);
+    renderProfileList();
+}
+
+
+/**
+ * Reads the value of every model variable from the form, keyed by the manifest variable ids.
+ * Continuous values are converted to model units; binary and categorical values are the selected codes.
+ * @returns {Object} The raw form data.
+ */
+function collectFormData() {
+    const formData = {};
+
+    getModelVariables().forEach(variable => {
+        if (variable.type === 'continuous') {
+            formData[variable.id] = toModelUnits(variable.id, document.getElementById(variable.id).value);
+        } else if (variable.type === 'percentile') {
+            formData[variable.id] = document.getElementById(variable.id).value;
+        } else {
+            const selectedOption = document.querySelector(`.button-group[data-variable="${variable.id}"] .button-option.selected`);
+            formData[variable.id] = selectedOption ? parseInt(selectedOption.getAttribute('data-value')) : variable.default;
+        }
+    });
+
+    return formData;
+}
+
+
+/**
+ * Reads the form, checks the numeric fields and one-hot encodes the categorical variables.
+ * @returns {Object|null} The parsed patient data, or null if a field is invalid (the user has been alerted).
+ */
+function parseFormInputs() {
+    const formData = collectFormData();
+    const parsedData = {};
+    const invalidVariables = [];
+    const extrapolatedVariables = [];
+    const missingVariables = getNotMeasuredVariables();
+    const diseaseCode = document.querySelector('#disease-select').value;
+
+    for (const key in formData) {
+        if (missingVariables.includes(key)) {
+            renderFieldMessage(key, null);
+            continue;
+        }
+        const type = modelVariables[key].type;
+        if (type === 'binary' || type === 'categorical') {
+             parsedData[key] = formData[key];
+             continue;
+        }
+        if (type === 'percentile' && getScoreInputMode(key) === 'raw') {
+            const rawScore = parseRawScore(key, diseaseCode);
+            renderFieldMessage(`${key}-raw`, rawScore.check);
+            if (rawScore.check && rawScore.check.level === 'error') {
+                invalidVariables.push(key);
+                continue;
+            }
+            if (rawScore.check && rawScore.check.level === 'warning') extrapolatedVariables.push(key);
+            parsedData[key] = rawScore.percentile;
+            // The engine places the raw value in each outcome's own distribution
+            parsedData.rawScores = { ...parsedData.rawScores, [key]: { value: rawScore.value } };
+            continue;
+        }
+        const value = parseFloat(formData[key]);
+        const check = validateInputValue(key, value);
+        renderFieldMessage(key, check);
+        if (check && check.level === 'error') {
+            invalidVariables.push(key);
+            continue;
+        }
+        if (check && check.level === 'warning') extrapolatedVariables.push(key);
+        parsedData[key] = value;
+    }
+
+    if (invalidVariables.length > 0) {
+        showNotice('input-notice', t('input.correctFields', { fields: invalidVariables.map(v => friendlyVariableNames[v] || v).join(', ') }), 'error');
+        const firstInvalid = document.getElementById(getScoreInputMode(invalidVariables[0]) === 'raw' ? `${invalidVariables[0]}-raw` : invalidVariables[0]);
+        firstInvalid.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        firstInvalid.focus();
+        return null;
+    }
+    lastExtrapolatedVariables = extrapolatedVariables;
+    showNotice('input-notice', extrapolatedVariables.length > 0
+        ? t('input.extrapolatedFields', { fields: extrapolatedVariables.map(v => friendlyVariableNames[v] || v).join(', ') })
+        : '', 'warning');
+
+    applyMissingDataHandling(parsedData, missingVariables);
+    coxModel.encodePatient(parsedData);
+    return parsedData;
+}
+
+/**
+ * Combines input_ranges.csv with the training distribution in PANEL_scaler_params.csv.
+ * A supported range left blank in input_ranges.csv defaults to the training mean ± 3 SD,
+ * clipped to the plausible range.
+ */
+function prepareInputRanges() {
+    inputRanges.forEach(row => {
+        const plausibleMin = parseFloat(row.plausible_min);
+        const plausibleMax = parseFloat(row.plausible_max);
+        let supportedMin = parseFloat(row.supported_min);
+        let supportedMax = parseFloat(row.supported_max);
+        const params = modelSets[0].tables.panelScalerParams.find(p => p.feature === row.feature);
+        if (params) {
+            const mean = parseFloat(params.mean);
+            const std = Math.sqrt(parseFloat(params.variance));
+            if (isNaN(supportedMin)) supportedMin = Math.max(mean - 3 * std, plausibleMin);
+            if (isNaN(supportedMax)) supportedMax = Math.min(mean + 3 * std, plausibleMax);
+        }
+        inputRangeMap[row.feature] = {
+            unit: row.unit || '',
+            plausibleMin, plausibleMax,
+            supportedMin: isNaN(supportedMin) ? plausibleMin : supportedMin,
+            supportedMax: isNaN(supportedMax) ? plausibleMax : supportedMax
+        };
+    });
+}
+
+function formatRangeValue(value) {
+    return parseFloat(value.toPrecision(3)).toLocaleString(currentLocale);
+}
+
+/**
+ * Checks one numeric input against its plausible range (an error) and the model-supported range (a warning).
+ * @param {string} variable The variable ID.
+ * @param {number} value The parsed value.
+ * @returns {{level: string, message: string}|null} The problem found, or null if the value is fine.
+ */
+function validateInputValue(variable, value) {
+    if (isNaN(value)) {
+        return { level: 'error', message: t('input.invalidNumber') };
+    }
+    const range = inputRangeMap[variable];
+    if (!range) return null;
+    const unit = range.unit ? ` ${range.unit}` : '';
+    if (value < range.plausibleMin || value > range.plausibleMax) {
+        return { level: 'error', message: t('input.implausible', { min: formatRangeValue(range.plausibleMin), max: formatRangeValue(range.plausibleMax), unit }) };
+    }
+    if (value < range.supportedMin || value > range.supportedMax) {
+        return { level: 'warning', message: t('input.outsideTrainingRange', { min: formatRangeValue(range.supportedMin), max: formatRangeValue(range.supportedMax), unit }) };
+    }
+    return null;
+}
+
+/**
+ * Shows a validation message under a form input, or clears it.
+ * @param {string} variable The input's id.
+ * @param {{level: string, message: string}|null} check The output of validateInputValue.
+ */
+function renderFieldMessage(variable, check) {
+    const input = document.getElementById(variable);
+    if (!input) return;
+    const container = input.closest('.slider-container, .input-with-unit') || input;
+    let message = container.parentElement.querySelector('.field-message');
+    if (!message) {
+        message = document.createElement('div');
+        message.className = 'field-message';
+        container.insertAdjacentElement('afterend', message);
+    }
+    input.classList.toggle('invalid', !!check && check.level === 'error');
+    input.classList.toggle('out-of-range', !!check && check.level === 'warning');
+    message.classList.toggle('error', !!check && check.level === 'error');
+    message.textContent = check ? check.message : '';
+}
+
+function setExtrapolationFlag(elementId) {
+    document.getElementById(elementId).textContent = lastExtrapolatedVariables.length > 0
+        ? t('risk.extrapolated')
+        : '';
+}
+
+/**
+ * Runs the Cox model of one outcome on parsed patient data through the scoring engine.
+ * @param {Object} parsedData The output of parseFormInputs (left unmodified).
+ * @param {string} diseaseCode The outcome code (e.g. 'cad').
+ * @param {number} targetTime The prediction horizon in years.
+ * @param {Object} [model] The engine to score with; defaults to the calculator's model.
+ * @returns {Object} The engine's prediction (risk, linearPredictor, hazardRatio, contributions, ...)
+ *   plus the outcome's baseline survival step function as `survivalData`.
+ * @throws {Error} With the first engine error if a percentile, scaling or coefficient lookup fails for this outcome.
+ */
+function scoreDisease(parsedData, diseaseCode, targetTime, model = coxModel) {
+    const result = model.predict(parsedData, diseaseCode, targetTime);
+    if (result.errors.length > 0) {
+        result.errors.forEach(error => console.error(`${error.code}: ${error.message}`));
+        throw new Error(result.errors[0].message);
+    }
+    result.warnings.forEach(warning => console.warn(warning));
+    return { ...result, survivalData: model.getBaselineSurvivalCurve(diseaseCode) };
+}
+
+function getSelectedHorizon() {
+    return parseInt(document.querySelector('#horizon-select').value);
+}
+
+function formatHorizon(targetTime) {
+    return t('horizon.years', { count: targetTime });
+}
+
+/**
+ * Labels the static option lists whose text is built from the option value, in the current language.
+ */
+function labelNumberedOptions() {
+    document.querySelectorAll('#horizon-select option').forEach(option => {
+        option.textContent = formatHorizon(parseInt(option.value));
+    });
+    document.querySelectorAll('#png-scale option').forEach(option => {
+        option.textContent = t('export.resolution', { scale: option.value });
+    });
+}
+
+function calculateRisk() {
+    const parsedData = parseFormInputs();
+    if (!parsedData) return;
+
+    const selectedDiseaseCode = document.querySelector('#disease-select').value;
+    const targetTime = getSelectedHorizon();
+    document.querySelector('#risk-title').textContent = t('risk.title', { horizon: targetTime, disease: diseaseMap[selectedDiseaseCode] });
+    document.querySelector('#risk-description').textContent = t('risk.description', { disease: getOutcomeNameInText(selectedDiseaseCode), horizon: formatHorizon(targetTime) });
+    document.querySelector('#disease-risk').textContent = t('risk.calculating');
+    document.querySelector('#all-risk-results').style.display = 'none';
+    document.querySelector('#risk-results').style.display = 'block';
+    document.querySelector('#risk-results').scrollIntoView({ behavior: 'smooth' });
+
+    let result;
+    try {
+        result = scoreDisease(parsedData, selectedDiseaseCode, targetTime, getFormScoringModel());
+    } catch (e) {
+        showNotice('input-notice', e.message, 'error');
+        document.querySelector('#disease-risk').textContent = '--';
+        return;
+    }
+    const { hazardRatio, risk: predictedRisk, survivalData: diseaseSurvivalData, contributions, linearPredictor } = result;
+    
+    document.querySelector('#disease-risk').textContent = formatPercent(predictedRisk);
+    setExtrapolationFlag('risk-extrapolated');
+    renderImputationNote('risk-imputation', [selectedDiseaseCode]);
+    let riskContext = null;
+    try {
+        riskContext = computeRiskContext(parsedData, selectedDiseaseCode, targetTime, predictedRisk, getFormScoringModel());
+        renderRiskContext(riskContext);
+    } catch (e) {
+        console.error('The risk context could not be calculated:', e);
+        renderRiskContextUnavailable(e.message);
+    }
+
+    const curvePoints = diseaseSurvivalData.map(point => ({
+        time: point.time,
+        risk: 1 - Math.pow(point.survival, hazardRatio)
+    }));
+    drawIncidenceCurve(curvePoints, targetTime, predictedRisk);
+
+    const lastObservedTime = diseaseSurvivalData.length > 0 ? diseaseSurvivalData[diseaseSurvivalData.length - 1].time : 0;
+    document.querySelector('#incidence-curve-note').textContent = targetTime > lastObservedTime
+        ? t('risk.survivalCarriedForward', { disease: getOutcomeNameInText(selectedDiseaseCode), time: formatNumber(lastObservedTime, 1) })
+        : '';
+
+    drawContributionWaterfall(contributions, linearPredictor);
+    renderOmicsSteps(parsedData, selectedDiseaseCode, targetTime);
+    renderVersionComparison(parsedData, selectedDiseaseCode, targetTime);
+    lastReportData = { parsedData, targetTime, results: [{ code: selectedDiseaseCode, risk: predictedRisk, context: riskContext }], extrapolated: lastExtrapolatedVariables, imputation: lastImputation };
+    startWhatIfSimulation(parsedData, selectedDiseaseCode, targetTime, predictedRisk);
+}
+
+/**
+ * Orders the log-hazard terms of one prediction by predictorGroups.
+ * Variables with a coefficient but no group are collected under 'Other'.
+ * @param {Array<{variable: string, contribution: number}>} contributions The terms returned by scoreDisease.
+ * @returns {Array<{group: string, total: number, items: Array<Object>}>} The non-empty groups in display order.
+ */
+function groupContributions(contributions) {
+    const byVariable = Object.fromEntries(contributions.map(c => [c.variable, c]));
+    const grouped = Object.entries(predictorGroups).map(([group, variables]) => ({
+        group,
+        items: variables.filter(v => byVariable[v]).map(v => byVariable[v])
+    }));
+    const groupedVariables = new Set(Object.values(predictorGroups).flat());
+    grouped.push({ group: 'Other', items: contributions.filter(c => !groupedVariables.has(c.variable)) });
+
+    return grouped
+        .filter(g => g.items.length > 0)
+        .map(g => ({ ...g, total: g.items.reduce((sum, c) => sum + c.contribution, 0) }));
+}
+
+function getGroupLabel(group) {
+    return manifestText(`group.${group}`, group);
+}
+
+/**
+ * Draws the log-hazard contribution of every predictor as a horizontal waterfall,
+ * accumulating group by group up to the linear predictor.
+ * @param {Array<Object>} contributions The terms returned by scoreDisease.
+ * @param {number} linearPredictor The sum of all terms.
+ */
+function drawContributionWaterfall(contributions, linearPredictor) {
+    const chartElement = document.getElementById('contribution-chart');
+    chartElement.innerHTML = '';
+
+    const groups = groupContributions(contributions);
+    const rows = [];
+    let runningTotal = 0;
+    groups.forEach(({ group, total, items }) => {
+        rows.push({ type: 'group', label: `${getGroupLabel(group)} (${formatSigned(total)})` });
+        items.forEach(item => {
+            rows.push({ type: 'term', label: friendlyVariableNames[item.variable] || item.variable, start: runningTotal, end: runningTotal + item.contribution, item });
+            runningTotal += item.contribution;
+        });
+    });
+    rows.push({ type: 'total', label: t('contribution.linearPredictor'), start: 0, end: linearPredictor });
+
+    const margin = {top: 10, right: 60, bottom: 60, left: 240};
+    const rowHeight = 18;
+    const chartPlotHeight = rows.length * rowHeight;
+    const chartRenderWidth = Math.max(chartElement.offsetWidth - margin.left - margin.right, 400);
+
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("width", chartRenderWidth + margin.left + margin.right);
+    svg.setAttribute("height", chartPlotHeight + margin.top + margin.bottom);
+    chartElement.appendChild(svg);
+
+    const terms = rows.filter(row => row.type === 'term');
+    const largest = [...terms].sort((a, b) => (b.end - b.start) - (a.end - a.start));
+    const extremes = [largest[0], largest[largest.length - 1]]
+        .filter(row => row)
+        .map(row => `${row.label} (${formatSigned(row.end - row.start)})`);
+    describeChart(svg, t('contribution.chartTitle'), t('contribution.chartDescription', {
+        count: terms.length,
+        linearPredictor: formatSigned(linearPredictor),
+        largest: extremes[0],
+        smallest: extremes[1]
+    }));
+    renderChartDataTable('contribution-chart-data', groups.flatMap(({ group, items }) => items.map(item => [
+        getGroupLabel(group),
+        friendlyVariableNames[item.variable] || item.variable,
+        formatNumber(item.input, 3),
+        formatNumber(item.coefficient, 3),
+        formatSigned(item.contribution)
+    ])));
+
+    const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    g.setAttribute("transform", `translate(${margin.left}, ${margin.top})`);
+    svg.appendChild(g);
+
+    const extents = rows.filter(r => r.type !== 'group').flatMap(r => [r.start, r.end]);
+    const xTicks = niceLinearTicks(Math.min(0, ...extents), Math.max(0, ...extents));
+    const xScale = d3_scaleLinear().domain([xTicks[0], xTicks[xTicks.length - 1]]).range([0, chartRenderWidth]);
+
+    createLinearXAxis(g, xScale, xTicks, chartPlotHeight, chartRenderWidth, t('contribution.axis'));
+
+    const zeroLine = document.createElementNS("http://www.w3.org/2000/svg", "line");
+    zeroLine.setAttribute("x1", xScale(0));
+    zeroLine.setAttribute("x2", xScale(0));
+    zeroLine.setAttribute("y1", 0);
+    zeroLine.setAttribute("y2", chartPlotHeight);
+    zeroLine.setAttribute("stroke", "#777");
+    g.appendChild(zeroLine);
+
+    rows.forEach((row, index) => {
+        const y = index * rowHeight;
+        const el = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        if (row.type === 'group') {
+            el.innerHTML = `<text x="-10" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle" font-size="12px" font-weight="bold">${row.label}</text>`;
+        } else {
+            const x1 = xScale(Math.min(row.start, row.end));
+            const width = Math.max(Math.abs(xScale(row.end) - xScale(row.start)), 1);
+            const value = row.end - row.start;
+            const color = row.type === 'total' ? '#0b0d38' : (value >= 0 ? '#E64B35FF' : '#3C5488FF');
+            const title = row.type === 'total'
+                ? `${row.label}: ${formatSigned(value)}`
+                : `${row.label}: ${formatNumber(row.item.input, 3)} × ${formatNumber(row.item.coefficient, 3)} = ${formatSigned(value)}`;
+            const labelWeight = row.type === 'total' ? 'bold' : 'normal';
+            el.innerHTML = `<text x="-10" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle" font-size="12px" font-weight="${labelWeight}">${row.label}</text><rect x="${x1}" y="${y + 3}" width="${width}" height="${rowHeight - 6}" fill="${color}"><title>${title}</title></rect><text x="${Math.max(xScale(row.start), xScale(row.end)) + 4}" y="${y + rowHeight / 2}" dominant-baseline="middle" font-size="10px" fill="#777">${formatSigned(value)}</text>`;
+        }
+        g.appendChild(el);
+    });
+}
+
+function formatSigned(value, digits = 3) {
+    return `${value >= 0 ? '+' : '−'}${formatNumber(Math.abs(value), digits)}`;
+}
+
+function formatPercentagePoints(value, digits = 2) {
+    return t('common.percentagePoints', { value: formatSigned(value, digits) });
+}
+
+// --- Accessible charts: descriptions and data tables ---
+
+/**
+ * Gives a chart an accessible name and a text description of what it shows, which screen readers read
+ * instead of the drawing. Charts with focusable labels stay a group so the labels remain reachable.
+ * @param {SVGSVGElement} svg The chart, already placed in its container.
+ * @param {string} title A short name for the chart.
+ * @param {string} description The chart's content in a few sentences.
+ * @param {boolean} [interactive] Whether the chart has focusable elements.
+ */
+function describeChart(svg, title, description, interactive = false) {
+    const id = svg.parentElement.id;
+    const titleElement = document.createElementNS("http://www.w3.org/2000/svg", "title");
+    titleElement.id = `${id}-title`;
+    titleElement.textContent = title;
+    const descElement = document.createElementNS("http://www.w3.org/2000/svg", "desc");
+    descElement.id = `${id}-desc`;
+    descElement.textContent = description;
+    svg.prepend(titleElement, descElement);
+    svg.setAttribute('role', interactive ? 'group' : 'img');
+    svg.setAttribute('aria-labelledby', `${id}-title`);
+    svg.setAttribute('aria-describedby', `${id}-desc`);
+}
+
+/**
+ * Fills the body of a chart's data table, the text alternative to the drawing.
+ * @param {string} bodyId The id of the table's tbody.
+ * @param {Array<Array<string>>} rows The cell texts of each row.
+ */
+function renderChartDataTable(bodyId, rows) {
+    const body = document.getElementById(bodyId);
+    body.innerHTML = '';
+    rows.forEach(cells => {
+        const tr = document.createElement('tr');
+        cells.forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        body.appendChild(tr);
+    });
+}
+
+/**
+ * Names the highest estimate among performance rows for a chart description.
+ * @param {Array<Object>} rows Performance rows with outcome, mappedModelName and point_estimate.
+ * @param {string} metric 'c_index' or 'delta_c_index'.
+ * @returns {string}
+ */
+function describeBestPerformance(rows, metric) {
+    const best = rows.reduce((a, b) => parseFloat(b.point_estimate) > parseFloat(a.point_estimate) ? b : a);
+    const value = parseFloat(best.point_estimate);
+    return t('performance.highest', {
+        metric: getMetricName(metric),
+        model: best.mappedModelName,
+        outcome: getOutcomeNameInText(best.outcome),
+        value: metric === 'delta_c_index' ? formatSigned(value) : formatNumber(value, 3)
+    });
+}
+
+// --- Omics scores entered as raw values ---
+
+function getScoreInputMode(variable) {
+    const select = document.getElementById(`${variable}-mode`);
+    return select ? select.value : 'percentile';
+}
+
+/**
+ * Shows either the percentile slider or the raw score input of a score, following its mode selector.
+ * @param {HTMLSelectElement} select The score's mode selector.
+ */
+function syncScoreInputMode(select) {
+    const variable = select.dataset.variable;
+    const raw = select.value === 'raw';
+    document.getElementById(variable).closest('.slider-container').style.display = raw ? 'none' : '';
+    document.getElementById(`${variable}-raw`).parentElement.style.display = raw ? '' : 'none';
+    if (!raw) renderFieldMessage(`${variable}-raw`, null);
+    updateImpliedPercentile(variable);
+}
+
+/**
+ * Reads a raw score from the form and finds its population percentile for an outcome in percentiles.csv.
+ * Values beyond the tabulated range are kept, flagged as extrapolated and placed at the 1st or 100th percentile.
+ * @param {string} variable A percentile-encoded variable ID.
+ * @param {string} outcome The outcome whose distribution places the score; the engine does the same for every other outcome.
+ * @returns {{value: number, percentile: number, outOfRange: (string|null), check: ({level: string, message: string}|null)}}
+ */
+function parseRawScore(variable, outcome) {
+    const value = parseFloat(document.getElementById(`${variable}-raw`).value);
+    if (isNaN(value)) {
+        return { value, percentile: NaN, outOfRange: null, check: { level: 'error', message: t('input.invalidNumber') } };
+    }
+    const position = coxModel.scoreToPercentile(outcome, variable, value);
+    if (!position) {
+        return { value, percentile: NaN, outOfRange: null, check: { level: 'error', message: t('input.noDistribution', { outcome: diseaseMap[outcome] }) } };
+    }
+    const check = position.outOfRange
+        ? { level: 'warning', message: t(`input.rawScore.${position.outOfRange}`, { outcome: diseaseMap[outcome] }) }
+        : null;
+    return { value, percentile: position.percentile, outOfRange: position.outOfRange, check };
+}
+
+function formatImpliedPercentile(percentile) {
+    return t('input.percentileValue', { value: parseFloat(percentile.toFixed(1)).toLocaleString(currentLocale) });
+}
+
+/**
+ * Shows the population percentile implied by a raw score for the selected outcome under its input.
+ * @param {string} variable A percentile-encoded variable ID.
+ */
+function updateImpliedPercentile(variable) {
+    const hint = document.getElementById(`${variable}-implied`);
+    if (!hint) return;
+    const outcome = document.querySelector('#disease-select').value;
+    const rawScore = getScoreInputMode(variable) === 'raw' && coxModel ? parseRawScore(variable, outcome) : null;
+    if (!rawScore || isNaN(rawScore.percentile)) {
+        hint.textContent = '';
+        return;
+    }
+    const params = { outcome: diseaseMap[outcome], percentile: formatImpliedPercentile(rawScore.percentile) };
+    const position = rawScore.outOfRange
+        ? t(`input.impliedPercentile.${rawScore.outOfRange}`, params)
+        : t('input.impliedPercentile', params);
+    hint.textContent = `${position} ${t('input.impliedPercentileOtherOutcomes')}`;
+}
+
+function setupRawScoreInputs() {
+    document.querySelectorAll('.score-mode-select').forEach(select => {
+        const variable = select.dataset.variable;
+        select.addEventListener('change', () => syncScoreInputMode(select));
+        document.getElementById(`${variable}-raw`).addEventListener('input', () => updateImpliedPercentile(variable));
+    });
+    document.querySelector('#disease-select').addEventListener('change', () => {
+        getModelVariables('percentile').forEach(variable => updateImpliedPercentile(variable.id));
+    });
+}
+
+// --- Missing data: inputs marked "not measured" ---
+
+function getNotMeasuredVariables() {
+    return Array.from(document.querySelectorAll('.not-measured-toggle:checked')).map(toggle => toggle.dataset.variable);
+}
+
+/**
+ * Disables the input (and unit or score-mode selector) of a variable while it is marked "not measured".
+ * @param {HTMLInputElement} toggle The variable's "Not measured" checkbox.
+ */
+function syncNotMeasured(toggle) {
+    const variable = toggle.dataset.variable;
+    ['', '-unit', '-mode', '-raw'].forEach(suffix => {
+        const element = document.getElementById(`${variable}${suffix}`);
+        if (element) element.disabled = toggle.checked;
+    });
+    if (toggle.checked) {
+        renderFieldMessage(variable, null);
+        renderFieldMessage(`${variable}-raw`, null);
+    }
+}
+
+function setupMissingInputs() {
+    document.querySelectorAll('.not-measured-toggle').forEach(toggle => {
+        toggle.addEventListener('change', () => syncNotMeasured(toggle));
+    });
+    // Without fitted reduced models the 'reduced' mode could only ever impute, so it is not offered
+    if (reducedModelSets.length === 0) {
+        document.querySelector('#imputation-mode option[value="reduced"]')?.remove();
+    }
+}
+
+/**
+ * The value imputed for a variable that was not measured: the population median (percentile 50,
+ * mapped through percentiles.csv) for omics scores, and the training mean from PANEL_scaler_params.csv for labs.
+ * @param {Object} variable A manifest variable.
+ * @returns {{value: number, description: string}}
+ */
+function getImputedValue(variable) {
+    if (variable.type === 'percentile') {
+        return { value: 50, description: t('missing.median') };
+    }
+    const params = modelSets[0].tables.panelScalerParams.find(p => p.feature === variable.id);
+    const value = parseFloat(parseFloat(params.mean).toPrecision(4));
+    const unit = getModelUnit(variable);
+    return { value, description: t('missing.mean', { value: value.toLocaleString(currentLocale), unit: unit ? ` ${unit}` : '' }) };
+}
+
+/**
+ * Fills in the inputs marked "not measured" according to the selected mode and records what was done in lastImputation.
+ * In 'reduced' mode, missing omics scores are left out by scoring with the fitted model of the remaining predictors when
+ * the manifest provides one (`reducedModels`); otherwise, and for labs, which every predictor set includes, they are imputed.
+ * @param {Object} parsedData Parsed patient data, modified in place.
+ * @param {Array<string>} missingVariables The ids of the variables marked "not measured".
+ */
+function applyMissingDataHandling(parsedData, missingVariables) {
+    if (missingVariables.length === 0) {
+        lastImputation = null;
+        return;
+    }
+    const mode = document.getElementById('imputation-mode').value;
+    const missingTerms = missingVariables.map(id => modelVariables[id].modelTerm).filter(Boolean);
+    const reducedModelName = missingTerms.length > 0
+        ? canonicalizeModelName(calculatorModelName.split('+').filter(term => !missingTerms.includes(term)).join('+'))
+        : null;
+    const reducedSet = mode === 'reduced' && reducedModelName
+        ? reducedModelSets.find(modelSet => canonicalizeModelName(modelSet.predictors) === reducedModelName)
+        : null;
+
+    const imputed = [];
+    const excluded = [];
+    missingVariables.forEach(id => {
+        const variable = modelVariables[id];
+        if (reducedSet && variable.modelTerm) {
+            excluded.push(id);
+            delete parsedData[id];
+            return;
+        }
+        const { value, description } = getImputedValue(variable);
+        parsedData[id] = value;
+        imputed.push({ variable: id, value, description });
+    });
+
+    lastImputation = {
+        mode,
+        imputed,
+        excluded,
+        reducedModelName,
+        reducedModel: reducedSet ? reducedSet.model : null,
+        // Reduced model requested for missing omics scores, but none is fitted for this combination
+        reducedModelUnavailable: mode === 'reduced' && !!reducedModelName && !reducedSet
+    };
+}
+
+function getFormScoringModel() {
+    return lastImputation?.reducedModel || coxModel;
+}
+
+/**
+ * @returns {string} The canonical name of the model getFormScoringModel returns.
+ */
+function getFormScoringModelName() {
+    return lastImputation?.reducedModel ? lastImputation.reducedModelName : calculatorModelName;
+}
+
+/**
+ * Explains in one or two sentences how the inputs that were not measured entered the prediction.
+ * @param {Object} imputation A lastImputation record.
+ * @returns {string}
+ */
+function describeMissingDataHandling(imputation) {
+    const sentences = [];
+    if (imputation.imputed.length > 0) {
+        sentences.push(t('missing.imputed', { inputs: imputation.imputed.map(i => `${friendlyVariableNames[i.variable]} (${i.description})`).join(', ') }));
+    }
+    if (imputation.excluded.length > 0) {
+        sentences.push(t('missing.excluded', { model: imputation.reducedModelName, inputs: imputation.excluded.map(v => friendlyVariableNames[v]).join(', ') }));
+    }
+    if (imputation.reducedModelUnavailable) {
+        sentences.push(t('missing.reducedModelUnavailable', { model: imputation.reducedModelName }));
+    }
+    return sentences.join(' ');
+}
+
+/**
+ * Shows which inputs were imputed and the C-index of the matching reduced model, with a link to it in the performance tab.
+ * @param {string} elementId The note element.
+ * @param {Array<string>} outcomes The outcome codes of the shown results.
+ */
+function renderImputationNote(elementId, outcomes) {
+    const element = document.getElementById(elementId);
+    element.innerHTML = '';
+    if (!lastImputation) return;
+
+    const text = document.createElement('div');
+    text.textContent = describeMissingDataHandling(lastImputation);
+    element.appendChild(text);
+
+    // The reduced predictor set's C-index applies only when its fitted model did the scoring
+    if (!lastImputation.reducedModel) {
+        const note = document.createElement('div');
+        note.textContent = t('missing.imputedCIndex', { model: calculatorModelName });
+        element.appendChild(note);
+        return;
+    }
+    const modelName = lastImputation.reducedModelName;
+    const comparison = document.createElement('div');
+    if (outcomes.length === 1) {
+        const reduced = findCIndex(outcomes[0], modelName);
+        const full = findCIndex(outcomes[0], calculatorModelName);
+        comparison.textContent = `${t('missing.reducedCIndex', {
+            model: modelName,
+            outcome: getOutcomeNameInText(outcomes[0]),
+            cIndex: formatCIndex(reduced),
+            fullCIndex: full ? formatNumber(parseFloat(full.point_estimate), 3) : t('common.notAvailable'),
+            fullModel: calculatorModelName
+        })} `;
+    } else {
+        comparison.textContent = `${t('missing.reducedPredictorSet', { model: modelName })} `;
+    }
+    const link = document.createElement('a');
+    link.href = '#';
+    link.textContent = t('missing.compareLink', { model: modelName });
+    link.addEventListener('click', event => {
+        event.preventDefault();
+        showModelPerformance(modelName, outcomes);
+    });
+    comparison.appendChild(link);
+    element.appendChild(comparison);
+}
+
+/**
+ * Opens the performance tab with the predictors of a model and the given outcomes selected, and draws the results.
+ * @param {string} canonicalName A canonical model name, e.g. 'PANEL+PRS+MetScore'.
+ * @param {Array<string>} outcomes Outcome codes.
+ */
+function showModelPerformance(canonicalName, outcomes) {
+    const predictors = canonicalName.split('+');
+    document.querySelectorAll('input[name="cvd"]').forEach(checkbox => {
+        checkbox.checked = outcomes.includes(checkbox.value);
+    });
+    document.querySelectorAll('input[name="predictor"]').forEach(checkbox => {
+        checkbox.checked = predictors.includes(checkbox.value);
+    });
+    document.querySelector('input[name="metric"][value="c_index"]').checked = true;
+    switchTab('population');
+    document.getElementById('generate-results-button').click();
+}
+
+// --- Comparison across model versions ---
+
+/**
+ * Scores the patient under every model set and lists the coefficient differences from the first set.
+ * Shown only when the manifest registers more than one set.
+ * @param {Object} parsedData The output of parseFormInputs.
+ * @param {string} diseaseCode The outcome code.
+ * @param {number} targetTime The prediction horizon in years.
+ */
+function renderVersionComparison(parsedData, diseaseCode, targetTime) {
+    const panel = document.getElementById('version-comparison');
+    if (modelSets.length < 2) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = 'block';
+
+    const [primary, ...others] = modelSets;
+    const { predictions, coefficients } = compareModels(modelSets.map(modelSet => modelSet.model), parsedData, diseaseCode, targetTime);
+    const primaryRisk = predictions[0].risk;
+
+    document.getElementById('version-risk-head').innerHTML =
+        `<tr><th>${t('versions.version')}</th><th>${t('versions.risk')}</th><th>${t('versions.linearPredictor')}</th><th>${t('versions.change', { version: primary.version })}</th></tr>`;
+    document.getElementById('version-risk-body').innerHTML = modelSets.map((modelSet, index) => {
+        const prediction = predictions[index];
+        const name = `${modelSet.version}${modelSet.label ? ` (${modelSet.label})` : ''}`;
+        if (prediction.errors.length > 0) {
+            return `<tr><td>${name}</td><td colspan="3">${t('common.notCalculated', { error: prediction.errors[0].message })}</td></tr>`;
+        }
+        const change = index === 0 || primaryRisk === null
+            ? '—'
+            : formatPercentagePoints((prediction.risk - primaryRisk) * 100);
+        return `<tr><td>${name}</td><td>${formatPercent(prediction.risk)}</td><td>${formatNumber(prediction.linearPredictor, 3)}</td><td>${change}</td></tr>`;
+    }).join('');
+
+    const formatCoefficient = value => value === undefined ? '—' : formatNumber(value, 4);
+
+    document.getElementById('version-coefficient-head').innerHTML = `<tr><th>${t('versions.variable')}</th>` +
+        modelSets.map(modelSet => `<th>${t('versions.versionNumber', { version: modelSet.version })}</th>`).join('') +
+        others.map(modelSet => `<th>${t('versions.difference', { version: modelSet.version, primary: primary.version })}</th>`).join('') + '</tr>';
+    document.getElementById('version-coefficient-body').innerHTML = coefficients.map(({ variable, values, differences, changed }) =>
+        `<tr${changed ? ' class="changed"' : ''}><td>${friendlyVariableNames[variable] || variable}</td>` +
+        values.map(value => `<td>${formatCoefficient(value)}</td>`).join('') +
+        differences.map(d => `<td>${d === null ? '—' : formatSigned(d, 4)}</td>`).join('') + '</tr>').join('');
+}
+
+// --- Incremental value of each omics layer for the patient ---
+
+/**
+ * Scores the patient with the omics scores of the form's model (see getFormScoringModel) added one at a time to its
+ * clinical predictors, in manifest order. Every step uses that model, so the last step is the risk shown above, with the
+ * scores not yet added (and any imputed as not measured) at their population median, percentile 50 of percentiles.csv.
+ * @param {Object} parsedData The output of parseFormInputs.
+ * @param {string} diseaseCode The outcome code.
+ * @param {number} targetTime The prediction horizon in years.
+ * @returns {Array<{added: (Object|null), modelName: string, risk: number, cIndex: (Object|undefined)}>} One step per
+ *   predictor set, from the clinical predictors alone (`added` null) to the full model, with its row of cIndexData.
+ */
+function computeOmicsSteps(parsedData, diseaseCode, targetTime) {
+    const model = getFormScoringModel();
+    const modelTerms = getFormScoringModelName().split('+');
+    const omicsVariables = getModelVariables().filter(v => v.modelTerm && modelTerms.includes(v.modelTerm));
+    const baseTerms = modelTerms.filter(term => !omicsVariables.some(v => v.modelTerm === term));
+
+    return [null, ...omicsVariables].map((added, index) => {
+        const included = omicsVariables.slice(0, index);
+        const patient = { ...parsedData, rawScores: { ...parsedData.rawScores } };
+        omicsVariables.forEach(variable => {
+            if (included.includes(variable) && variable.id in parsedData) return;
+            patient[variable.id] = 50;
+            delete patient.rawScores[variable.id];
+        });
+        const modelName = canonicalizeModelName([...baseTerms, ...included.map(v => v.modelTerm)].join('+'));
+        const { risk } = scoreDisease(patient, diseaseCode, targetTime, model);
+        return { added, modelName, risk, cIndex: findCIndex(diseaseCode, modelName) };
+    });
+}
+
+/**
+ * Shows the stepwise omics breakdown of the current prediction, each step linked to its model in the performance tab.
+ * @param {Object} parsedData The output of parseFormInputs.
+ * @param {string} diseaseCode The outcome code.
+ * @param {number} targetTime The prediction horizon in years.
+ */
+function renderOmicsSteps(parsedData, diseaseCode, targetTime) {
+    const body = document.getElementById('omics-steps-body');
+    let steps;
+    try {
+        steps = computeOmicsSteps(parsedData, diseaseCode, targetTime);
+    } catch (e) {
+        body.innerHTML = `<tr><td colspan="5">${escapeHTML(t('common.notCalculated', { error: e.message }))}</td></tr>`;
+        return;
+    }
+    const notMeasured = [...(lastImputation?.imputed.map(i => i.variable) || []), ...(lastImputation?.excluded || [])];
+
+    body.innerHTML = steps.map((step, index) => {
+        const label = step.added
+            ? `+ ${getVariableLabel(step.added)}${notMeasured.includes(step.added.id) ? ` ${t('omicsSteps.notMeasured')}` : ''}`
+            : t('omicsSteps.clinicalOnly');
+        let change = '—';
+        if (index > 0) {
+            const difference = (step.risk - steps[index - 1].risk) * 100;
+            const className = difference > 0 ? 'risk-up' : (difference < 0 ? 'risk-down' : '');
+            change = `<span class="${className}">${formatPercentagePoints(difference)}</span>`;
+        }
+        return `<tr><td>${label}</td><td><a href="#" data-model="${step.modelName}">${step.modelName}</a></td>` +
+            `<td>${formatPercent(step.risk)}</td><td>${change}</td><td>${formatCIndex(step.cIndex)}</td></tr>`;
+    }).join('');
+    body.querySelectorAll('a[data-model]').forEach(link => {
+        link.addEventListener('click', event => {
+            event.preventDefault();
+            showModelPerformance(link.dataset.model, [diseaseCode]);
+        });
+    });
+}
+
+// --- What-if simulator for modifiable risk factors ---
+
+// Variables the simulator lets the user change, from the manifest's `whatIf` flags; see applyModelManifest
+let whatIfFactors = [];
+
+let whatIfState = null;
+
+/**
+ * Resets the simulator to the inputs of the prediction that was just made.
+ * @param {Object} parsedData The patient data the baseline risk was computed from.
+ * @param {string} diseaseCode The outcome code.
+ * @param {number} targetTime The prediction horizon in years.
+ * @param {number} baselineRisk The predicted risk for the unchanged inputs.
+ */
+function startWhatIfSimulation(parsedData, diseaseCode, targetTime, baselineRisk) {
+    whatIfState = {
+        baselineData: { ...parsedData },
+        scenario: { ...parsedData },
+        diseaseCode,
+        targetTime,
+        baselineRisk
+    };
+    renderWhatIfControls();
+    updateWhatIfResult();
+}
+
+function renderWhatIfControls() {
+    const container = document.getElementById('what-if-controls');
+    container.innerHTML = '';
+
+    whatIfFactors.forEach(factor => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        const label = document.createElement('div');
+        label.className = 'form-label';
+        label.id = `what-if-${factor.variable}-label`;
+        label.textContent = factor.label || friendlyVariableNames[factor.variable] || factor.variable;
+        group.appendChild(label);
+
+        const current = whatIfState.scenario[factor.variable];
+        if (factor.type === 'binary') {
+            const buttonGroup = document.createElement('div');
+            buttonGroup.className = 'button-group';
+            buttonGroup.setAttribute('aria-labelledby', label.id);
+            getOptions(modelVariables[factor.variable]).forEach(({ value, label: text }) => {
+                const option = document.createElement('div');
+                option.className = 'button-option' + (current === value ? ' selected' : '');
+                option.dataset.value = value;
+                option.textContent = text;
+                buttonGroup.appendChild(option);
+            });
+            setupButtonGroup(buttonGroup, option => setWhatIfValue(factor.variable, parseInt(option.dataset.value)));
+            group.appendChild(buttonGroup);
+        } else {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'form-control';
+            input.setAttribute('aria-labelledby', label.id);
+            input.step = factor.step;
+            input.value = current;
+            input.addEventListener('input', () => {
+                const value = parseFloat(input.value);
+                if (!isNaN(value)) setWhatIfValue(factor.variable, value);
+            });
+            group.appendChild(input);
+        }
+
+        if (whatIfState.baselineData[factor.variable] !== undefined) {
+            const hint = document.createElement('div');
+            hint.className = 'form-hint';
+            const baselineValue = whatIfState.baselineData[factor.variable];
+            hint.textContent = t('whatIf.current', {
+                value: factor.type === 'binary' ? getOptionLabel(modelVariables[factor.variable], baselineValue) : baselineValue.toLocaleString(currentLocale)
+            });
+            group.appendChild(hint);
+        }
+        container.appendChild(group);
+    });
+}
+
+/**
+ * Changes one factor of the simulated scenario and refreshes the comparison.
+ * Weight changes also update BMI from the patient's height, as the form does.
+ * @param {string} variable The model variable.
+ * @param {number} value The new value.
+ */
+function setWhatIfValue(variable, value) {
+    whatIfState.scenario[variable] = value;
+    if (variable === 'weight') {
+        const heightM = whatIfState.scenario.height / 100;
+        if (heightM > 0) {
+            whatIfState.scenario.bmi = parseFloat((value / (heightM * heightM)).toFixed(1));
+        }
+    }
+    updateWhatIfResult();
+}
+
+function updateWhatIfResult() {
+    const { scenario, diseaseCode, targetTime, baselineRisk } = whatIfState;
+    const resultElement = document.getElementById('what-if-result');
+
+    let simulatedRisk;
+    try {
+        simulatedRisk = scoreDisease(scenario, diseaseCode, targetTime, getFormScoringModel()).risk;
+    } catch (e) {
+        resultElement.textContent = e.message;
+        return;
+    }
+
+    const absoluteChange = (simulatedRisk - baselineRisk) * 100;
+    const relativeChange = baselineRisk > 0 ? (simulatedRisk / baselineRisk - 1) * 100 : 0;
+    const changeClass = absoluteChange > 0.05 ? 'risk-up' : (absoluteChange < -0.05 ? 'risk-down' : '');
+    resultElement.innerHTML = `
+        <div class="performance-metrics">
+            <div class="metric-card">
+                <div class="metric-title">${t('whatIf.currentRisk', { horizon: targetTime })}</div>
+                <div class="metric-value">${formatPercent(baselineRisk)}</div>
+            </div>
+            <div class="metric-card">
+                <div class="metric-title">${t('whatIf.simulatedRisk', { horizon: targetTime })}</div>
+                <div class="metric-value">${formatPercent(simulatedRisk)}</div>
+                <div class="metric-description ${changeClass}">
+                    ${t('whatIf.change', { absolute: formatPercentagePoints(absoluteChange, 1), relative: formatSigned(relativeChange, 0) })}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function resetWhatIfSimulation() {
+    if (!whatIfState) return;
+    whatIfState.scenario = { ...whatIfState.baselineData };
+    renderWhatIfControls();
+    updateWhatIfResult();
+}
+
+// --- Risk context: same-age, same-sex reference patient ---
+
+// Inputs the reference patient takes from the patient; age is set separately
+const REFERENCE_MATCHED_VARIABLES = ['male_1.0'];
+
+/**
+ * Builds the reference patient a prediction is compared with: the patient's sex at a given age, the training
+ * mean (PANEL_scaler_params.csv) of every clinical measure, the population median (percentile 50) of every
+ * omics score and the Townsend index, and the manifest default of every other factor.
+ * @param {Object} parsedData The patient's parsed data.
+ * @param {number} age The reference patient's age in years.
+ * @param {Object} model The engine the reference patient is scored with.
+ * @returns {Object} The reference patient, encoded for the engine.
+ */
+function buildReferencePatient(parsedData, age, model) {
+    const patient = {};
+    getModelVariables().forEach(variable => {
+        patient[variable.id] = variable.type === 'percentile' || variable.scaled
+            ? getImputedValue(variable).value
+            : variable.default;
+    });
+    REFERENCE_MATCHED_VARIABLES.forEach(id => {
+        if (id in parsedData) patient[id] = parsedData[id];
+    });
+    patient.age = age;
+    model.encodePatient(patient);
+    return patient;
+}
+
+/**
+ * Finds the age at which the reference patient has a given risk ("heart age") by bisection over the
+ * plausible age range. The risk of the reference patient rises with age in every shipped model.
+ * @param {function(number): number} riskAtAge The reference patient's risk at an age.
+ * @param {number} targetRisk The patient's predicted risk.
+ * @returns {{age: number, bound: (string|null)}} The age, or the end of the range with bound 'below' or 'above'
+ *   when even the youngest or oldest reference patient does not reach the risk.
+ */
+function findRiskEquivalentAge(riskAtAge, targetRisk) {
+    let low = inputRangeMap.age.plausibleMin;
+    let high = inputRangeMap.age.plausibleMax;
+    if (targetRisk <= riskAtAge(low)) return { age: low, bound: 'below' };
+    if (targetRisk >= riskAtAge(high)) return { age: high, bound: 'above' };
+    for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if (riskAtAge(mid) < targetRisk) low = mid;
+        else high = mid;
+    }
+    return { age: (low + high) / 2, bound: null };
+}
+
+/**
+ * Puts a predicted risk in context with the Cox model's own formula: the risk of the same-age, same-sex
+ * reference patient (see buildReferencePatient), the ratio of the two, and the risk-equivalent age.
+ * @param {Object} parsedData The patient's parsed data.
+ * @param {string} diseaseCode The outcome code.
+ * @param {number} targetTime The prediction horizon in years.
+ * @param {number} risk The patient's predicted risk.
+ * @param {Object} [model] The engine the patient was scored with.
+ * @returns {{referenceRisk: number, relativeRisk: number, riskAge: {age: number, bound: (string|null)}}}
+ * @throws {Error} If the reference patient cannot be scored.
+ */
+function computeRiskContext(parsedData, diseaseCode, targetTime, risk, model = coxModel) {
+    const riskAtAge = age => {
+        const result = model.predict(buildReferencePatient(parsedData, age, model), diseaseCode, targetTime);
+        if (result.errors.length > 0) throw new Error(result.errors[0].message);
+        return result.risk;
+    };
+    const referenceRisk = riskAtAge(parsedData.age);
+    return {
+        referenceRisk,
+        relativeRisk: risk / referenceRisk,
+        riskAge: findRiskEquivalentAge(riskAtAge, risk)
+    };
+}
+
+function formatRelativeRisk(relativeRisk) {
+    return `${formatNumber(relativeRisk, 2)}×`;
+}
+
+function formatRiskEquivalentAge({ age, bound }) {
+    if (bound) return t(`context.age.${bound}`, { count: age });
+    const range = inputRangeMap.age;
+    const extrapolated = age < range.supportedMin || age > range.supportedMax ? ` ${t('context.ageExtrapolated')}` : '';
+    return `${t('context.age', { count: Math.round(age) })}${extrapolated}`;
+}
+
+/**
+ * Shows the reference risk, relative risk and risk-equivalent age under the predicted risk.
+ * @param {Object} context The output of computeRiskContext.
+ */
+function renderRiskContext(context) {
+    document.getElementById('reference-risk').textContent = formatPercent(context.referenceRisk);
+    document.getElementById('relative-risk').textContent = formatRelativeRisk(context.relativeRisk);
+    document.getElementById('risk-equivalent-age').textContent = formatRiskEquivalentAge(context.riskAge);
+    document.getElementById('risk-context-note').textContent = t('context.referenceDescription');
+}
+
+/**
+ * Marks the risk context as unavailable when the reference patient could not be scored.
+ * @param {string} error Why computeRiskContext failed.
+ */
+function renderRiskContextUnavailable(error) {
+    ['reference-risk', 'relative-risk', 'risk-equivalent-age'].forEach(id => {
+        document.getElementById(id).textContent = t('common.notAvailableCapitalized');
+    });
+    document.getElementById('risk-context-note').textContent = t('common.notCalculated', { error });
+}
+
+/**
+ * Scores every outcome in diseaseMap for the current inputs and shows them as a ranked card grid.
+ * An outcome whose lookups fail is shown as failed without stopping the others.
+ */
+function calculateAllRisks() {
+    const parsedData = parseFormInputs();
+    if (!parsedData) return;
+
+    const targetTime = getSelectedHorizon();
+    const results = Object.keys(diseaseMap).map(code => {
+        try {
+            const result = scoreDisease(parsedData, code, targetTime, getFormScoringModel());
+            let context = null;
+            try {
+                context = computeRiskContext(parsedData, code, targetTime, result.risk, getFormScoringModel());
+            } catch (e) {
+                // The card still shows the risk, without the comparison
+                console.error(`The risk context for ${code} could not be calculated:`, e);
+            }
+            return { code, ...result, context };
+        } catch (e) {
+            return { code, error: e.message };
+        }
+    });
+
+    document.querySelector('#risk-results').style.display = 'none';
+    document.querySelector('#all-risk-results').style.display = 'block';
+    document.querySelector('#all-risk-title').textContent = t('dashboard.title', { horizon: targetTime });
+    setExtrapolationFlag('all-risk-extrapolated');
+    renderImputationNote('all-risk-imputation', Object.keys(diseaseMap));
+    updateRiskDashboard(results);
+    lastReportData = { parsedData, targetTime, results, extrapolated: lastExtrapolatedVariables, imputation: lastImputation };
+    document.querySelector('#all-risk-results').scrollIntoView({ behavior: 'smooth' });
+}
+
+function updateRiskDashboard(results) {
+    const grid = document.getElementById('risk-dashboard');
+    grid.innerHTML = '';
+
+    const scored = results.filter(r => !r.error).sort((a, b) => b.risk - a.risk);
+    const failed = results.filter(r => r.error);
+    const maxRisk = scored.length > 0 ? scored[0].risk : 0;
+
+    scored.forEach((result, index) => {
+        const diseaseName = diseaseMap[result.code];
+        const color = diseaseColors[result.code] || '#000000';
+        const barWidth = maxRisk > 0 ? (result.risk / maxRisk) * 100 : 0;
+        const card = document.createElement('div');
+        card.className = 'metric-card dashboard-card';
+        card.style.borderLeftColor = color;
+        card.innerHTML = `
+            <div class="metric-title">${index + 1}. ${diseaseName}</div>
+            <div class="metric-value" style="color: ${color};">${formatPercent(result.risk)}</div>
+            <div class="dashboard-bar"><div class="dashboard-bar-fill" style="width: ${barWidth}%; background-color: ${color};"></div></div>
+            <div class="metric-description">${t('dashboard.linearPredictor', { linearPredictor: formatNumber(result.linearPredictor, 3), hazardRatio: formatNumber(result.hazardRatio, 2) })}</div>
+            ${result.context ? `<div class="metric-description">${t('dashboard.context', {
+                relativeRisk: formatRelativeRisk(result.context.relativeRisk),
+                referenceRisk: formatPercent(result.context.referenceRisk),
+                riskAge: formatRiskEquivalentAge(result.context.riskAge)
+            })}</div>` : ''}
+        `;
+        grid.appendChild(card);
+    });
+
+    failed.forEach(result => {
+        const card = document.createElement('div');
+        card.className = 'metric-card dashboard-card failed';
+        card.innerHTML = `
+            <div class="metric-title">${diseaseMap[result.code]}</div>
+            <div class="metric-value">${t('dashboard.failed')}</div>
+            <div class="metric-description">${escapeHTML(result.error)}</div>
+        `;
+        grid.appendChild(card);
+    });
+}
+
+/**
+ * Draws the patient's predicted cumulative incidence 1 - S0(t)^exp(LP) as a step curve,
+ * marking the risk at the selected horizon.
+ * @param {Array<{time: number, risk: number}>} curvePoints Predicted risk at every baseline time point.
+ * @param {number} targetTime The selected horizon in years.
+ * @param {number} predictedRisk The predicted risk at the selected horizon.
+ */
+function drawIncidenceCurve(curvePoints, targetTime, predictedRisk) {
+    const chartElement = document.getElementById('incidence-curve');
+    chartElement.innerHTML = '';
+
+    if (curvePoints.length === 0) {
+        chartElement.innerHTML = `<div style="text-align: center; padding: 20px;">${t('incidence.noData')}</div>`;
+        renderChartDataTable('incidence-curve-data', []);
+        return;
+    }
+
+    const margin = {top: 20, right: 30, bottom: 60, left: 80};
+    const chartPlotHeight = 300;
+    const chartRenderWidth = Math.max(chartElement.offsetWidth - margin.left - margin.right, 400);
+
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("width", chartRenderWidth + margin.left + margin.right);
+    svg.setAttribute("height", chartPlotHeight + margin.top + margin.bottom);
+    chartElement.appendChild(svg);
+
+    const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    g.setAttribute("transform", `translate(${margin.left}, ${margin.top})`);
+    svg.appendChild(g);
+
+    const maxTime = Math.ceil(Math.max(curvePoints[curvePoints.length - 1].time, targetTime));
+    // Risk at the end of each whole year, for the screen-reader description and the data table
+    const yearlyRisks = [];
+    for (let year = 1; year <= maxTime; year++) {
+        const reached = curvePoints.filter(point => point.time <= year);
+        yearlyRisks.push([year, reached.length > 0 ? reached[reached.length - 1].risk : 0]);
+    }
+    describeChart(svg, t('incidence.chartTitle'), t('incidence.chartDescription', {
+        years: formatHorizon(maxTime),
+        risk: formatPercent(predictedRisk),
+        horizon: formatHorizon(targetTime)
+    }));
+    renderChartDataTable('incidence-curve-data', yearlyRisks.map(([year, risk]) => [formatHorizon(year), formatPercent(risk, 2)]));
+    const yTicks = niceLinearTicks(0, curvePoints[curvePoints.length - 1].risk);
+    const xScale = d3_scaleLinear().domain([0, maxTime]).range([0, chartRenderWidth]);
+    const yScale = d3_scaleLinear().domain([0, yTicks[yTicks.length - 1]]).range([chartPlotHeight, 0]);
+
+    const xTicks = [];
+    for (let year = 0; year <= maxTime; year++) xTicks.push(year);
+    createLinearXAxis(g, xScale, xTicks, chartPlotHeight, chartRenderWidth, t('incidence.xAxis'));
+    createYAxis(g, yScale, chartPlotHeight, chartRenderWidth, t('incidence.yAxis'), yTicks, formatPercentTick);
+
+    let pathData = `M${xScale(0)},${yScale(0)}`;
+    curvePoints.forEach(point => {
+        pathData += `H${xScale(point.time)}V${yScale(point.risk)}`;
+    });
+    pathData += `H${xScale(maxTime)}`;
+
+    const curve = document.createElementNS("http://www.w3.org/2000/svg", "path");
+    curve.setAttribute("d", pathData);
+    curve.setAttribute("fill", "none");
+    curve.setAttribute("stroke", "#0b0d38");
+    curve.setAttribute("stroke-width", "2");
+    g.appendChild(curve);
+
+    const x = xScale(targetTime), y = yScale(predictedRisk);
+    const marker = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    marker.innerHTML = `<line x1="${x}" x2="${x}" y1="${chartPlotHeight}" y2="${y}" stroke="#f44336" stroke-dasharray="4,3"></line><circle cx="${x}" cy="${y}" r="5" fill="#f44336"><title>${t('incidence.marker', { horizon: targetTime, risk: formatPercent(predictedRisk) })}</title></circle><text x="${x + 8}" y="${y - 8}" font-size="12px" fill="#f44336">${formatPercent(predictedRisk)}</text>`;
+    g.appendChild(marker);
+}
+
+
+// --- Printable patient risk report ---
+
+let lastReportData = null;
+
+/**
+ * Finds the C-index row of a model for an outcome.
+ * @param {string} outcome The outcome code.
+ * @param {string} canonicalModelName A model name as produced by canonicalizeModelName (e.g. 'PANEL+PRS').
+ * @returns {Object|undefined} The cindex_final.csv row.
+ */
+function findCIndex(outcome, canonicalModelName) {
+    return cIndexData.find(row => row.outcome === outcome &&
+        canonicalizeModelName(mapModelName(row.comparison_model)) === canonicalModelName);
+}
+
+function formatCIndex(row) {
+    if (!row) return t('common.notAvailableCapitalized');
+    return t('performance.cIndexWithCI', {
+        value: formatNumber(parseFloat(row.point_estimate), 3),
+        lower: formatNumber(parseFloat(row.ci_lower), 3),
+        upper: formatNumber(parseFloat(row.ci_upper), 3)
+    });
+}
+
+/**
+ * Turns parsed patient data into labelled rows for the report, in manifest order.
+ * @param {Object} parsedData The output of parseFormInputs.
+ * @param {Object|null} [imputation] The lastImputation of the same calculation.
+ * @returns {Array<{label: string, value: string}>}
+ */
+function describePatientInputs(parsedData, imputation = null) {
+    const rows = [];
+    getModelVariables().forEach(variable => {
+        let text;
+        const imputed = imputation?.imputed.find(i => i.variable === variable.id);
+        if (imputation?.excluded.includes(variable.id)) {
+            text = t('report.inputExcluded');
+        } else if (imputed) {
+            text = t('report.inputImputed', { description: imputed.description });
+        } else if (variable.type === 'categorical') {
+            const selected = variable.levels.find(l => l.column && parsedData[l.column] === 1);
+            const reference = variable.levels.find(l => !l.column);
+            text = selected || reference ? getOptionLabel(variable, (selected || reference).value) : '';
+        } else {
+            const value = parsedData[variable.id];
+            if (value === undefined) return;
+            if (variable.type === 'binary') {
+                text = getOptionLabel(variable, value);
+            } else if (variable.type === 'percentile' && parsedData.rawScores?.[variable.id]) {
+                text = t('report.rawScore', { value: parsedData.rawScores[variable.id].value.toLocaleString(currentLocale) });
+            } else if (variable.type === 'percentile') {
+                text = t('report.percentile', { value: value.toLocaleString(currentLocale) });
+            } else {
+                const unit = inputRangeMap[variable.id] ? inputRangeMap[variable.id].unit : getModelUnit(variable);
+                text = unit ? `${value.toLocaleString(currentLocale)} ${unit}` : value.toLocaleString(currentLocale);
+            }
+        }
+        rows.push({ label: getVariableLabel(variable), value: text });
+    });
+    return rows;
+}
+
+/**
+ * Fills the print-only report with the last calculation and opens the browser's print dialog,
+ * from which it can be saved as a PDF.
+ */
+function generateReport() {
+    if (!lastReportData) return;
+    const { parsedData, targetTime, results, extrapolated, imputation } = lastReportData;
+    const report = document.getElementById('print-report');
+    // Scored with a reduced model, its discrimination applies; with imputed inputs, only the full model's is known
+    const reportModelName = imputation?.reducedModel ? imputation.reducedModelName : calculatorModelName;
+
+    const outcomeRows = results.map(result => {
+        const diseaseName = diseaseMap[result.code] || result.code;
+        const risk = result.error ? escapeHTML(t('common.notCalculated', { error: result.error })) : formatPercent(result.risk);
+        const context = result.context
+            ? `<td>${formatPercent(result.context.referenceRisk)}</td><td>${formatRelativeRisk(result.context.relativeRisk)}</td><td>${formatRiskEquivalentAge(result.context.riskAge)}</td>`
+            : '<td></td><td></td><td></td>';
+        return `<tr><td>${diseaseName}</td><td>${risk}</td>${context}<td>${formatCIndex(findCIndex(result.code, reportModelName))}</td></tr>`;
+    }).join('');
+    const imputationNote = imputation
+        ? `<p class="extrapolation-flag">${describeMissingDataHandling(imputation)} ${imputation.reducedModel
+            ? t('report.cIndexModel', { model: reportModelName })
+            : t('missing.imputedCIndex', { model: reportModelName })}</p>`
+        : '';
+    const inputRows = describePatientInputs(parsedData, imputation)
+        .map(row => `<tr><td>${row.label}</td><td>${row.value}</td></tr>`).join('');
+    const extrapolationNote = extrapolated.length > 0
+        ? `<p class="extrapolation-flag">${t('report.extrapolated', { inputs: extrapolated.map(v => friendlyVariableNames[v] || v).join(', ') })}</p>`
+        : '';
+
+    report.innerHTML = `
+        <h1>${t('report.title')}</h1>
+        <p>${t('report.generated', { date: new Date().toLocaleString(currentLocale) })}</p>
+        <h2>${t('report.riskHeading', { horizon: targetTime })}</h2>
+        <table class="results-table">
+            <thead><tr><th>${t('report.outcome')}</th><th>${t('report.risk')}</th><th>${t('report.referenceRisk')}</th><th>${t('report.relativeRisk')}</th><th>${t('report.riskAge')}</th><th>${t('report.cIndex')}</th></tr></thead>
+            <tbody>${outcomeRows}</tbody>
+        </table>
+        <p>${t('context.referenceDescription')}</p>
+        ${extrapolationNote}
+        ${imputationNote}
+        <h2>${t('report.modelHeading')}</h2>
+        <p>${t('report.model', { model: calculatorModelName, version: modelVersion })}</p>
+        <h2>${t('report.inputsHeading')}</h2>
+        <table class="results-table">
+            <thead><tr><th>${t('report.predictor')}</th><th>${t('report.value')}</th></tr></thead>
+            <tbody>${inputRows}</tbody>
+        </table>
+        <p class="disclaimer">${t('report.disclaimer')}</p>
+    `;
+    window.print();
+}
+
+// --- Batch scoring from an uploaded CSV ---
+
+let batchResultsCSV = null;
+
+/**
+ * Lists the columns an uploaded patient file must have: every variable in coefficients.csv,
+ * with ethnicity given either as a 0-3 `ethnicity` code or as the one-hot columns.
+ * @returns {Array<string>} The required column names.
+ */
+function getBatchRequiredColumns() {
+    const oneHotColumns = Object.values(coxModel.encodings.categorical).flatMap(columns => Object.values(columns));
+    return coxModel.getCoefficients()
+        .map(c => c.variable)
+        .filter(v => !oneHotColumns.includes(v));
+}
+
+/**
+ * Validates one uploaded row and converts it to the same shape parseFormInputs produces.
+ * @param {Object} row A row object from parseCSVText.
+ * @param {Array<string>} requiredColumns The output of getBatchRequiredColumns.
+ * @returns {{data: Object|null, errors: Array<string>, extrapolated: Array<string>}} The parsed patient data, or null with the reasons,
+ *   and the variables outside the model's training range.
+ */
+function parseBatchRow(row, requiredColumns) {
+    const data = {};
+    const errors = [];
+    const extrapolated = [];
+
+    requiredColumns.forEach(column => {
+        const raw = row[column];
+        const friendlyName = friendlyVariableNames[column] || column;
+        if (raw === undefined || raw === '') {
+            errors.push(t('batch.missingValue', { name: friendlyName }));
+            return;
+        }
+        const value = Number(raw);
+        if (isNaN(value)) {
+            errors.push(t('batch.notNumber', { name: friendlyName, value: raw }));
+        } else if (modelVariables[column]?.type === 'binary' && value !== 0 && value !== 1) {
+            errors.push(t('batch.notBinary', { name: friendlyName, value: raw }));
+        } else if (modelVariables[column]?.type === 'percentile' && !(value >= 1 && value <= 100)) {
+            errors.push(t('batch.notPercentile', { name: friendlyName, value: raw }));
+        } else {
+            const check = validateInputValue(column, value);
+            if (check && check.level === 'error') {
+                errors.push(`${friendlyName}: ${check.message}`);
+                return;
+            }
+            if (check && check.level === 'warning') extrapolated.push(column);
+            data[column] = value;
+        }
+    });
+
+    // Categorical variables may be given as their code or as the model's one-hot columns
+    getModelVariables('categorical').forEach(variable => {
+        const columns = variable.levels.filter(l => l.column).map(l => l.column);
+        const raw = row[variable.id];
+        if (raw !== undefined && raw !== '') {
+            const code = Number(raw);
+            if (variable.levels.some(l => l.value === code)) {
+                data[variable.id] = code;
+                coxModel.encodePatient(data);
+            } else {
+                const codes = getOptions(variable).map(o => `${o.value} (${o.label})`).join(', ');
+                errors.push(t('batch.notCategory', { name: getVariableLabel(variable), codes, value: raw }));
+            }
+        } else {
+            const oneHot = columns.map(column => Number(row[column] || 0));
+            if (oneHot.some(v => v !== 0 && v !== 1) || oneHot.reduce((a, b) => a + b, 0) > 1) {
+                errors.push(t('batch.invalidOneHot', { name: getVariableLabel(variable), columns: columns.join(', ') }));
+            } else {
+                columns.forEach((column, i) => { data[column] = oneHot[i]; });
+            }
+        }
+    });
+
+    return { data: errors.length === 0 ? data : null, errors, extrapolated };
+}
+
+/**
+ * Quotes a value for CSV output when it contains a delimiter, quote or line break.
+ * @param {*} value The cell value.
+ * @returns {string} The escaped cell.
+ */
+function toCSVField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Scores every row of the uploaded file for the selected outcomes and prepares the results CSV.
+ */
+async function runBatchScoring() {
+    const fileInput = document.getElementById('batch-file');
+    const status = document.getElementById('batch-status');
+    const errorTableBody = document.getElementById('batch-errors-body');
+    const downloadButton = document.getElementById('batch-download-button');
+    errorTableBody.innerHTML = '';
+    document.getElementById('batch-errors').style.display = 'none';
+    downloadButton.style.display = 'none';
+    batchResultsCSV = null;
+
+    const file = fileInput.files[0];
+    if (!file) {
+        status.textContent = t('batch.noFile');
+        return;
+    }
+    const selectedOutcomes = Array.from(document.querySelectorAll('input[name="batch-outcome"]:checked'))
+        .map(checkbox => checkbox.value);
+    if (selectedOutcomes.length === 0) {
+        status.textContent = t('batch.noOutcome');
+        return;
+    }
+
+    const rows = parseCSVText(await file.text()).filter(row => Object.values(row).some(v => v !== undefined && v !== ''));
+    if (rows.length === 0) {
+        status.textContent = t('batch.noRows');
+        return;
+    }
+    const requiredColumns = getBatchRequiredColumns();
+    const missingColumns = requiredColumns.filter(column => !(column in rows[0]));
+    if (missingColumns.length > 0) {
+        status.textContent = t('batch.missingColumns', { columns: missingColumns.join(', ') });
+        return;
     }
-    
-    let linearPredictor = 0;
-    const featureColumnName = Object.keys(coefficients[0])[0];
-    const diseaseCoefficients = coefficients.map(row => ({
-        variable: row[featureColumnName],
-        value: parseFloat(row[selectedDiseaseCode])
-    }));
 
-    diseaseCoefficients.forEach(coeff => {
-        const varName = coeff.variable;
-        const coeffValue = coeff.value;
-        if (isNaN(coeffValue)) { return; }
-        if (scaledData.hasOwnProperty(varName)) {
-            linearPredictor += scaledData[varName] * coeffValue;
-        } else if (parsedData.hasOwnProperty(varName)) {
-            linearPredictor += parsedData[varName] * coeffValue;
-        }
+    const targetTime = getSelectedHorizon();
+    const hasIdColumn = 'id' in rows[0];
+    // The results file keeps fixed English column names and plain numbers, whatever the page language
+    const header = [hasIdColumn ? 'id' : 'row'];
+    selectedOutcomes.forEach(code => header.push(`${code}_lp`, `${code}_risk_${targetTime}y`));
+    header.push('extrapolated', 'errors');
+
+    const outputLines = [header.map(toCSVField).join(',')];
+    const rowErrors = [];
+    // Rows scored for every selected outcome, for some of them only, or for none, and rows with extrapolated values
+    const counts = { scored: 0, partlyScored: 0, notScored: 0, extrapolated: 0 };
+    rows.forEach((row, index) => {
+        const rowLabel = hasIdColumn ? row.id : index + 1;
+        const { data, errors, extrapolated } = parseBatchRow(row, requiredColumns);
+        const cells = [rowLabel];
+        let scoredOutcomes = 0;
+        selectedOutcomes.forEach(code => {
+            if (!data) {
+                cells.push('', '');
+                return;
+            }
+            try {
+                const result = scoreDisease(data, code, targetTime);
+                cells.push(result.linearPredictor.toFixed(6), result.risk.toFixed(6));
+                scoredOutcomes++;
+            } catch (e) {
+                errors.push(`${diseaseMap[code] || code}: ${e.message}`);
+                cells.push('', '');
+            }
+        });
+        cells.push(extrapolated.join(' '), errors.join('; '));
+        outputLines.push(cells.map(toCSVField).join(','));
+        if (errors.length > 0) rowErrors.push({ rowLabel, errors });
+        if (scoredOutcomes === selectedOutcomes.length) counts.scored++;
+        else if (scoredOutcomes > 0) counts.partlyScored++;
+        else counts.notScored++;
+        if (data && extrapolated.length > 0) counts.extrapolated++;
     });
-    
-    let baselineSurvivalProb = null;
-    const targetTime = 10;
-    const diseaseSurvivalData = baselineSurvivals
-        .map(row => ({
-            time: parseFloat(row.Time),
-            survival: parseFloat(row[selectedDiseaseCode])
-        }))
-        .filter(point => !isNaN(point.survival) && !isNaN(point.time));
-    const candidates = diseaseSurvivalData.filter(point => point.time <= targetTime);
-    if (candidates.length > 0) {
-        const lastStep = candidates.reduce((latest, current) => {
-            return current.time > latest.time ? current : latest;
+
+    batchResultsCSV = outputLines.join('\n') + '\n';
+    status.textContent = [
+        t('batch.scored', { scored: counts.scored, count: rows.length, horizon: targetTime }),
+        counts.partlyScored > 0 ? t('batch.partlyScored', { count: counts.partlyScored }) : null,
+        counts.notScored > 0 ? t('batch.notScored', { count: counts.notScored }) : null,
+        counts.extrapolated > 0 ? t('batch.extrapolatedRows', { count: counts.extrapolated }) : null
+    ].filter(Boolean).join(' ');
+    downloadButton.style.display = 'inline-block';
+
+    if (rowErrors.length > 0) {
+        rowErrors.forEach(({ rowLabel, errors }) => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `<td></td><td></td>`;
+            tr.children[0].textContent = rowLabel;
+            tr.children[1].textContent = errors.join('; ');
+            errorTableBody.appendChild(tr);
         });
-        baselineSurvivalProb = lastStep.survival;
-    } else {
-        console.warn(`No baseline survival data found for "${selectedDiseaseName}" at or before ${targetTime} years. Assuming 100% survival.`);
-        baselineSurvivalProb = 1.0;
+        document.getElementById('batch-errors').style.display = 'table';
     }
-    
-    const hazardRatio = Math.exp(linearPredictor);
-    const predictedSurvival = Math.pow(baselineSurvivalProb, hazardRatio);
-    const predictedRisk = 1 - predictedSurvival;
-    
-    document.querySelector('#disease-risk').textContent = (predictedRisk * 100).toFixed(1) + '%';
 }
 
+function downloadBatchResults() {
+    if (!batchResultsCSV) return;
+    downloadFile(batchResultsCSV, 'batch_risk_results.csv', 'text/csv');
+}
+
+/**
+ * Offers content to the user as a file download.
+ * @param {string|Blob} content The file content.
+ * @param {string} fileName The suggested file name.
+ * @param {string} mimeType The MIME type of the content.
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function setupBatchScoring() {
+    document.getElementById('batch-score-button').addEventListener('click', runBatchScoring);
+    document.getElementById('batch-download-button').addEventListener('click', downloadBatchResults);
+}
 
 function setupRiskCalculator() {
     const calculateButton = document.querySelector('#calculate-risk-button');
     if (calculateButton) {
         calculateButton.addEventListener('click', calculateRisk);
     }
+    document.querySelector('#what-if-reset-button').addEventListener('click', resetWhatIfSimulation);
+    document.querySelectorAll('.report-button').forEach(button => button.addEventListener('click', generateReport));
+    const calculateAllButton = document.querySelector('#calculate-all-button');
+    if (calculateAllButton) {
+        calculateAllButton.addEventListener('click', calculateAllRisks);
+    }
 }
 
 function updateSliderValue(valueId, value) {
@@ -454,27 +2568,126 @@ function generateModelCombinations(baseModel, omicsArray) {
     return combinations;
 }
 
+// --- Export of the performance chart and table ---
+let lastPerformanceExport = null; // {rows, metric} behind the chart and table currently shown
+
+/**
+ * Serializes the filtered performance rows as delimited text.
+ * @param {string} delimiter ',' for CSV or '\t' for TSV.
+ * @returns {string} The table with a header row.
+ */
+function performanceRowsToText(delimiter) {
+    const header = ['model', 'outcome', 'metric', 'baseline_model', 'n_samples', 'point_estimate', 'ci_lower', 'ci_upper'];
+    // CSV follows toCSVField; TSV fields cannot contain tabs or newlines, so those are replaced
+    const field = delimiter === ',' ? toCSVField : value => String(value ?? '').replace(/[\t\n\r]+/g, ' ');
+    const lines = lastPerformanceExport.rows.map(row => [
+        row.mappedModelName,
+        diseaseMap[row.outcome] || row.outcome,
+        lastPerformanceExport.metric,
+        mapModelName(row.baseline_model),
+        row.n_samples,
+        row.point_estimate,
+        row.ci_lower,
+        row.ci_upper
+    ].map(field).join(delimiter));
+    return [header.join(delimiter), ...lines].join('\n') + '\n';
+}
+
+const INLINED_SVG_STYLES = ['fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'];
+
+/**
+ * Copies the performance chart into a standalone SVG document. Computed styles are inlined so the
+ * file renders the same outside the page, and a white background is added for slides.
+ * @returns {string|null} The SVG markup, or null when no chart is drawn.
+ */
+function serializePerformanceChart() {
+    const source = document.querySelector('#performance-chart svg');
+    if (!source) return null;
+    const copy = source.cloneNode(true);
+    const sourceElements = [source, ...source.querySelectorAll('*')];
+    const copyElements = [copy, ...copy.querySelectorAll('*')];
+    sourceElements.forEach((element, index) => {
+        const computed = window.getComputedStyle(element);
+        const inlined = INLINED_SVG_STYLES
+            .map(property => [property, computed.getPropertyValue(property)])
+            .filter(([, value]) => value)
+            .map(([property, value]) => `${property}:${value}`);
+        if (inlined.length > 0) copyElements[index].setAttribute('style', inlined.join(';'));
+    });
+    const background = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+    background.setAttribute("width", "100%");
+    background.setAttribute("height", "100%");
+    background.setAttribute("fill", "#ffffff");
+    copy.insertBefore(background, copy.firstChild);
+    return new XMLSerializer().serializeToString(copy);
+}
+
+function exportPerformanceSVG() {
+    const markup = serializePerformanceChart();
+    if (markup) downloadFile(markup, 'model_performance.svg', 'image/svg+xml');
+}
+
+/**
+ * Renders the standalone SVG onto a canvas at the selected scale and downloads it as PNG.
+ */
+function exportPerformancePNG() {
+    const markup = serializePerformanceChart();
+    if (!markup) return;
+    const source = document.querySelector('#performance-chart svg');
+    const scale = parseFloat(document.getElementById('png-scale').value);
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(source.getAttribute('width') * scale);
+        canvas.height = Math.round(source.getAttribute('height') * scale);
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0);
+        canvas.toBlob(blob => downloadFile(blob, 'model_performance.png', 'image/png'), 'image/png');
+    };
+    image.onerror = () => showNotice('performance-notice', t('performance.pngFailed'), 'error');
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+}
+
+function setupPerformanceExport() {
+    document.getElementById('export-svg-button').addEventListener('click', exportPerformanceSVG);
+    document.getElementById('export-png-button').addEventListener('click', exportPerformancePNG);
+    document.getElementById('export-csv-button').addEventListener('click', () => {
+        if (lastPerformanceExport) downloadFile(performanceRowsToText(','), 'model_performance.csv', 'text/csv');
+    });
+    document.getElementById('export-tsv-button').addEventListener('click', () => {
+        if (lastPerformanceExport) downloadFile(performanceRowsToText('\t'), 'model_performance.tsv', 'text/tab-separated-values');
+    });
+}
+
 function setupPerformanceComparison() {
+    setupPerformanceExport();
+    setupResultsTableInteractions();
     document.querySelector('#generate-results-button').addEventListener('click', function() {
         const selectedCVDs = Array.from(document.querySelectorAll('input[name="cvd"]:checked'))
             .map(checkbox => checkbox.value);
         
-        const selectedBaseModel = document.querySelector('input.exclusive:checked')?.value;
-        const selectedOmics = Array.from(document.querySelectorAll('input[name="predictor"]:not(.exclusive):checked'))
+        const selectedBaseModel = document.querySelector('input[name="predictor"][type="radio"]:checked')?.value;
+        const selectedOmics = Array.from(document.querySelectorAll('input[name="predictor"][type="checkbox"]:checked'))
             .map(checkbox => checkbox.value);
 
         if (selectedCVDs.length === 0) {
-            alert('Please select at least one cardiovascular disease.');
+            showNotice('performance-notice', t('performance.noOutcome'), 'error');
             return;
         }
         if (!selectedBaseModel) {
-            alert('Please select one base predictor (AgeSex, Clin, or PANEL).');
+            showNotice('performance-notice', t('performance.noBaseModel'), 'error');
             return;
         }
+        showNotice('performance-notice', '');
         
         const requiredModels = generateModelCombinations(selectedBaseModel, selectedOmics);
+        const metric = document.querySelector('input[name="metric"]:checked').value;
         
-        const filteredData = cIndexData
+        const sourceData = metric === 'delta_c_index'
+            ? deltaCIndexData.filter(row => mapModelName(row.baseline_model) === selectedBaseModel && row.comparison_model !== row.baseline_model)
+            : cIndexData;
+        const filteredData = sourceData
             .filter(row => selectedCVDs.includes(row.outcome))
             .map(row => ({
                 ...row,
@@ -483,30 +2696,281 @@ function setupPerformanceComparison() {
             }))
             .filter(row => requiredModels.includes(row.canonicalModelName));
         
-        updateResultsTable(filteredData);
-        updatePerformanceChart(filteredData);
+        updateResultsTable(filteredData, metric);
+        lastPerformanceExport = { rows: filteredData, metric };
+        document.getElementById('performance-export').style.display = filteredData.length > 0 ? '' : 'none';
+        const layout = document.querySelector('input[name="chart-layout"]:checked').value;
+        if (layout === 'heatmap') {
+            heatmapSort = null;
+            updatePerformanceHeatmap(filteredData, requiredModels, metric);
+        } else if (metric === 'delta_c_index') {
+            updateDeltaForestPlot(filteredData, selectedBaseModel);
+        } else {
+            updatePerformanceChart(filteredData);
+        }
+        setLinkedHighlight(null);
+        updateCalibrationPanel(selectedCVDs, canonicalizeModelName([selectedBaseModel, ...selectedOmics].join('+')));
     });
 }
 
-function updateResultsTable(filteredData) {
+/**
+ * @param {string} metric 'c_index' or 'delta_c_index'.
+ * @returns {string} The metric's display name.
+ */
+function getMetricName(metric) {
+    return t(metric === 'delta_c_index' ? 'performance.deltaCIndex' : 'performance.cIndex');
+}
+
+let resultsTableState = { rows: [], metric: 'c_index', sortKey: null, descending: false };
+let pinnedPerformanceKey = null; // Row/point selected by a click; hovering highlights temporarily
+
+/**
+ * Key shared by a results-table row and the chart mark drawn for the same outcome and model.
+ * @param {Object} row A performance row with outcome and canonicalModelName.
+ * @returns {string} The key, e.g. "cad|PANEL+PRS".
+ */
+function performanceKey(row) {
+    return `${row.outcome}|${row.canonicalModelName}`;
+}
+
+const resultsTableSorters = {
+    model: (a, b) => a.canonicalModelName.split('+').length - b.canonicalModelName.split('+').length || a.mappedModelName.localeCompare(b.mappedModelName),
+    outcome: (a, b) => Object.keys(diseaseMap).indexOf(a.outcome) - Object.keys(diseaseMap).indexOf(b.outcome),
+    estimate: (a, b) => parseFloat(a.point_estimate) - parseFloat(b.point_estimate),
+    ci_width: (a, b) => (a.ci_upper - a.ci_lower) - (b.ci_upper - b.ci_lower)
+};
+
+function updateResultsTable(filteredData, metric = 'c_index') {
+    resultsTableState = { ...resultsTableState, rows: filteredData, metric };
+    renderResultsTable();
+}
+
+/**
+ * Renders resultsTableState with the current sort, text filter and outcome grouping.
+ * The best model of each outcome (highest estimate among the shown rows) is highlighted.
+ */
+function renderResultsTable() {
+    const { rows, metric, sortKey, descending } = resultsTableState;
+    const isDelta = metric === 'delta_c_index';
+    const columns = [
+        ['model', t('performance.model')],
+        ['outcome', t('performance.outcome')],
+        ['estimate', isDelta ? t('performance.deltaCIndexColumn') : getMetricName(metric)],
+        ['ci_width', t('performance.confidenceInterval')]
+    ];
+    document.getElementById('results-table-head').innerHTML = '<tr>' + columns.map(([key, title]) => {
+        const indicator = key === sortKey ? (descending ? ' ▼' : ' ▲') : '';
+        const hint = key === 'ci_width' ? ` title="${t('performance.sortByWidth')}"` : '';
+        const sort = key === sortKey ? (descending ? 'descending' : 'ascending') : 'none';
+        return `<th class="sortable" data-sort="${key}" tabindex="0" aria-sort="${sort}"${hint}>${title}${indicator}</th>`;
+    }).join('') + (isDelta ? `<th>${t('performance.excludesZero')}</th>` : '') + '</tr>';
+    const columnCount = isDelta ? 5 : 4;
+
     const tableBody = document.getElementById('results-table-body');
     tableBody.innerHTML = '';
 
-    if (filteredData.length === 0) {
-        tableBody.innerHTML = '<tr><td colspan="4">No data available for the selected criteria.</td></tr>';
+    if (rows.length === 0) {
+        tableBody.innerHTML = `<tr><td colspan="${columnCount}">${t('performance.noData')}</td></tr>`;
         return;
     }
-    
-    filteredData.forEach(data => {
+
+    const filterText = document.getElementById('results-filter').value.trim().toLowerCase();
+    const groupByOutcome = document.getElementById('results-group-outcome').checked;
+    let shownRows = rows.filter(row => !filterText ||
+        row.mappedModelName.toLowerCase().includes(filterText) ||
+        (diseaseMap[row.outcome] || row.outcome).toLowerCase().includes(filterText));
+
+    if (shownRows.length === 0) {
+        tableBody.innerHTML = `<tr><td colspan="${columnCount}">${t('performance.noMatch')}</td></tr>`;
+        return;
+    }
+
+    if (sortKey) {
+        const sorter = resultsTableSorters[sortKey];
+        shownRows = [...shownRows].sort((a, b) => descending ? sorter(b, a) : sorter(a, b));
+    }
+    if (groupByOutcome) {
+        // Array.prototype.sort is stable, so the column sort is kept within each outcome
+        shownRows = [...shownRows].sort(resultsTableSorters.outcome);
+    }
+
+    const bestKeys = new Set();
+    const bestByOutcome = {};
+    shownRows.forEach(row => {
+        const best = bestByOutcome[row.outcome];
+        if (!best || parseFloat(row.point_estimate) > parseFloat(best.point_estimate)) bestByOutcome[row.outcome] = row;
+    });
+    Object.values(bestByOutcome).forEach(row => bestKeys.add(performanceKey(row)));
+
+    let currentOutcome = null;
+    shownRows.forEach(data => {
+        const diseaseName = diseaseMap[data.outcome] || data.outcome;
+        if (groupByOutcome && data.outcome !== currentOutcome) {
+            currentOutcome = data.outcome;
+            const groupRow = document.createElement('tr');
+            groupRow.className = 'group-row';
+            groupRow.innerHTML = `<td colspan="${columnCount}">${diseaseName}</td>`;
+            tableBody.appendChild(groupRow);
+        }
+
         const row = document.createElement('tr');
-        row.innerHTML = `
-            <td>${data.mappedModelName}</td>
-            <td>${diseaseMap[data.outcome] || data.outcome}</td>
-            <td>${parseFloat(data.point_estimate).toFixed(2)}</td>
-            <td>${parseFloat(data.ci_lower).toFixed(2)}–${parseFloat(data.ci_upper).toFixed(2)}</td>
-        `;
+        row.dataset.key = performanceKey(data);
+        if (bestKeys.has(row.dataset.key)) {
+            row.classList.add('best-model');
+            row.title = t('performance.bestModel', { outcome: diseaseName });
+        }
+        if (isDelta) {
+            const excludesZero = isDeltaSignificant(data);
+            if (excludesZero) row.classList.add('significant');
+            row.innerHTML = `
+                <td>${data.mappedModelName}</td>
+                <td>${diseaseName}</td>
+                <td>${formatSigned(parseFloat(data.point_estimate))}</td>
+                <td>${t('performance.interval', { lower: formatSigned(parseFloat(data.ci_lower)), upper: formatSigned(parseFloat(data.ci_upper)) })}</td>
+                <td>${t(excludesZero ? 'option.yes' : 'option.no')}</td>
+            `;
+        } else {
+            row.innerHTML = `
+                <td>${data.mappedModelName}</td>
+                <td>${diseaseName}</td>
+                <td>${formatNumber(parseFloat(data.point_estimate), 2)}</td>
+                <td>${formatNumber(parseFloat(data.ci_lower), 2)}–${formatNumber(parseFloat(data.ci_upper), 2)}</td>
+            `;
+        }
         tableBody.appendChild(row);
     });
+
+    setLinkedHighlight(null);
+}
+
+/**
+ * Highlights the table row and chart mark for a key. Passing null falls back to the pinned key.
+ * @param {string|null} key A performanceKey value, or null.
+ */
+function setLinkedHighlight(key) {
+    const activeKey = key || pinnedPerformanceKey;
+    document.querySelectorAll('.linked-highlight').forEach(el => el.classList.remove('linked-highlight'));
+    if (!activeKey) return;
+    document.querySelectorAll('#results-table-body [data-key], #performance-chart [data-key]').forEach(el => {
+        if (el.getAttribute('data-key') === activeKey) el.classList.add('linked-highlight');
+    });
+}
+
+function setupResultsTableInteractions() {
+    const sortByHeader = header => {
+        const key = header.dataset.sort;
+        resultsTableState.descending = resultsTableState.sortKey === key ? !resultsTableState.descending : false;
+        resultsTableState.sortKey = key;
+        renderResultsTable();
+        document.querySelector(`#results-table-head th[data-sort="${key}"]`).focus();
+    };
+    const head = document.getElementById('results-table-head');
+    head.addEventListener('click', event => {
+        const header = event.target.closest('th[data-sort]');
+        if (header) sortByHeader(header);
+    });
+    head.addEventListener('keydown', event => {
+        const header = event.target.closest('th[data-sort]');
+        if (!header || (event.key !== 'Enter' && event.key !== ' ')) return;
+        event.preventDefault();
+        sortByHeader(header);
+    });
+    document.getElementById('results-filter').addEventListener('input', renderResultsTable);
+    document.getElementById('results-group-outcome').addEventListener('change', renderResultsTable);
+
+    ['results-table-body', 'performance-chart'].forEach(id => {
+        const container = document.getElementById(id);
+        container.addEventListener('mouseover', event => {
+            const target = event.target.closest('[data-key]');
+            if (target) setLinkedHighlight(target.getAttribute('data-key'));
+        });
+        container.addEventListener('mouseout', () => setLinkedHighlight(null));
+        container.addEventListener('click', event => {
+            const target = event.target.closest('[data-key]');
+            if (!target) return;
+            const key = target.getAttribute('data-key');
+            pinnedPerformanceKey = pinnedPerformanceKey === key ? null : key;
+            setLinkedHighlight(null);
+        });
+    });
+}
+
+function isDeltaSignificant(row) {
+    return parseFloat(row.ci_lower) > 0 || parseFloat(row.ci_upper) < 0;
+}
+
+/**
+ * Draws the improvement in C-index over the base model as a forest plot:
+ * one row per model and outcome, with its 95% CI and a reference line at zero.
+ * @param {Array<Object>} filteredData delta_c_index rows with mappedModelName and canonicalModelName.
+ * @param {string} baseModel The reference (base) model, e.g. 'PANEL'.
+ */
+function updateDeltaForestPlot(filteredData, baseModel) {
+    const chartElement = document.getElementById('performance-chart');
+    chartElement.innerHTML = '';
+
+    if (filteredData.length === 0) {
+        chartElement.innerHTML = `<div style="text-align: center; padding: 20px;">${t('performance.noData')}</div>`;
+        return;
+    }
+
+    const diseaseOrder = Object.keys(diseaseMap);
+    const rows = [...filteredData].sort((a, b) =>
+        diseaseOrder.indexOf(a.outcome) - diseaseOrder.indexOf(b.outcome) ||
+        a.canonicalModelName.split('+').length - b.canonicalModelName.split('+').length ||
+        a.canonicalModelName.localeCompare(b.canonicalModelName));
+
+    const margin = {top: 60, right: 40, bottom: 60, left: 320};
+    const rowHeight = 24;
+    const chartPlotHeight = rows.length * rowHeight;
+    const chartRenderWidth = Math.max(chartElement.offsetWidth - margin.left - margin.right, 400);
+
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("width", chartRenderWidth + margin.left + margin.right);
+    svg.setAttribute("height", chartPlotHeight + margin.top + margin.bottom);
+    chartElement.appendChild(svg);
+    describeChart(svg, t('performance.deltaAxis', { model: baseModel }), `${t('performance.forestDescription', {
+        model: baseModel,
+        count: rows.length,
+        significant: rows.filter(isDeltaSignificant).length
+    })} ${describeBestPerformance(rows, 'delta_c_index')} ${t('performance.valuesInTable')}`);
+
+    const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    g.setAttribute("transform", `translate(${margin.left}, ${margin.top})`);
+    svg.appendChild(g);
+
+    const lows = rows.map(r => parseFloat(r.ci_lower));
+    const highs = rows.map(r => parseFloat(r.ci_upper));
+    const xTicks = niceLinearTicks(Math.min(0, ...lows), Math.max(0, ...highs));
+    const xScale = d3_scaleLinear().domain([xTicks[0], xTicks[xTicks.length - 1]]).range([0, chartRenderWidth]);
+
+    createLinearXAxis(g, xScale, xTicks, chartPlotHeight, chartRenderWidth, t('performance.deltaAxis', { model: baseModel }));
+
+    const zeroLine = document.createElementNS("http://www.w3.org/2000/svg", "line");
+    zeroLine.setAttribute("x1", xScale(0));
+    zeroLine.setAttribute("x2", xScale(0));
+    zeroLine.setAttribute("y1", 0);
+    zeroLine.setAttribute("y2", chartPlotHeight);
+    zeroLine.setAttribute("stroke", "#777");
+    zeroLine.setAttribute("stroke-dasharray", "4,3");
+    g.appendChild(zeroLine);
+
+    rows.forEach((item, index) => {
+        const diseaseName = diseaseMap[item.outcome] || item.outcome;
+        const color = diseaseColors[item.outcome] || '#000000';
+        const y = index * rowHeight + rowHeight / 2;
+        const x = xScale(parseFloat(item.point_estimate));
+        const xL = xScale(parseFloat(item.ci_lower));
+        const xH = xScale(parseFloat(item.ci_upper));
+        const weight = isDeltaSignificant(item) ? 'bold' : 'normal';
+        const el = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        el.setAttribute("data-key", performanceKey(item));
+        el.innerHTML = `<text x="-10" y="${y}" text-anchor="end" dominant-baseline="middle" font-size="12px" font-weight="${weight}">${diseaseName}, ${item.mappedModelName}</text><line x1="${xL}" x2="${xH}" y1="${y}" y2="${y}" stroke="${color}" stroke-width="1.5"></line><line x1="${xL}" x2="${xL}" y1="${y - 4}" y2="${y + 4}" stroke="${color}" stroke-width="1.5"></line><line x1="${xH}" x2="${xH}" y1="${y - 4}" y2="${y + 4}" stroke="${color}" stroke-width="1.5"></line><rect x="${x - 5}" y="${y - 5}" width="10" height="10" fill="${color}"><title>${diseaseName}, ${item.mappedModelName}: ${formatSigned(parseFloat(item.point_estimate))} (${t('performance.interval', { lower: formatSigned(parseFloat(item.ci_lower)), upper: formatSigned(parseFloat(item.ci_upper)) })})</title></rect>`;
+        g.appendChild(el);
+    });
+
+    const presentOutcomes = Object.keys(diseaseMap).filter(code => rows.some(r => r.outcome === code));
+    drawLegend(svg, presentOutcomes, chartRenderWidth + margin.left + margin.right);
 }
 
 function updatePerformanceChart(filteredData) {
@@ -514,7 +2978,7 @@ function updatePerformanceChart(filteredData) {
     chartElement.innerHTML = '';
     
     if (filteredData.length === 0) {
-        chartElement.innerHTML = '<div style="text-align: center; padding: 20px;">No data available for the selected criteria.</div>';
+        chartElement.innerHTML = `<div style="text-align: center; padding: 20px;">${t('performance.noData')}</div>`;
         return;
     }
     
@@ -529,6 +2993,10 @@ function updatePerformanceChart(filteredData) {
     svg.setAttribute("width", chartRenderWidth + margin.left + margin.right);
     svg.setAttribute("height", svgHeight);
     chartElement.appendChild(svg);
+    describeChart(svg, t('performance.pointsTitle'), `${t('performance.pointsDescription', {
+        models: t('performance.modelCount', { count: predictors.length }),
+        outcomes: t('performance.outcomeCount', { count: new Set(filteredData.map(item => item.outcome)).size })
+    })} ${describeBestPerformance(filteredData, 'c_index')} ${t('performance.valuesInTable')}`);
 
     const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
     g.setAttribute("transform", `translate(${margin.left}, ${margin.top})`);
@@ -536,20 +3004,16 @@ function updatePerformanceChart(filteredData) {
     
     const { predictorDiseaseGroups, diseaseGroups } = groupPerformanceData(filteredData);
     
-    const diseaseOrder = ['Coronary artery disease', 'Stroke', 'Heart failure', 'Atrial fibrillation', 'Peripheral artery disease', 'Venous thromboembolism'];
-    const colors = {
-        'Coronary artery disease': "#E64B35FF", 'Stroke': "#4DBBD5FF", 'Heart failure': "#00A087FF",
-        'Atrial fibrillation': "#3C5488FF", 'Peripheral artery disease': "#F39B7FFF", 'Venous thromboembolism': "#8491B4FF"
-    };
+    const diseaseOrder = Object.keys(diseaseMap);
     
     const xScale = d3_scalePoint().domain(predictors).range([0, chartRenderWidth]).padding(0.5);
     const yScale = d3_scaleLinear().domain([0.5, 1.0]).range([chartPlotHeight, 0]);
     
     createXAxis(g, xScale, predictors, chartPlotHeight, chartRenderWidth);
-    createYAxis(g, yScale, chartPlotHeight, chartRenderWidth, "C-index");
+    createYAxis(g, yScale, chartPlotHeight, chartRenderWidth, t('performance.cIndex'));
     
     Object.values(predictorDiseaseGroups).forEach(items => {
-        items.sort((a, b) => diseaseOrder.indexOf(diseaseMap[a.outcome]) - diseaseOrder.indexOf(diseaseMap[b.outcome]));
+        items.sort((a, b) => diseaseOrder.indexOf(a.outcome) - diseaseOrder.indexOf(b.outcome));
         const offsetStep = 20;
         const totalWidth = (items.length - 1) * offsetStep;
         const startOffset = -totalWidth / 2;
@@ -558,12 +3022,163 @@ function updatePerformanceChart(filteredData) {
     
     const sortedDiseaseGroups = Object.entries(diseaseGroups).sort((a,b) => diseaseOrder.indexOf(a[0]) - diseaseOrder.indexOf(b[0]));
 
-    sortedDiseaseGroups.forEach(([disease, items]) => {
-        const color = colors[disease] || '#000000';
+    sortedDiseaseGroups.forEach(([outcome, items]) => {
+        const color = diseaseColors[outcome] || '#000000';
         items.forEach(item => drawErrorBarAndPoint(g, item, xScale, yScale, color));
     });
     
-    drawLegend(svg, sortedDiseaseGroups.map(d => d[0]), colors, chartRenderWidth + margin.left + margin.right);
+    drawLegend(svg, sortedDiseaseGroups.map(d => d[0]), chartRenderWidth + margin.left + margin.right);
+}
+
+let heatmapSort = null; // {axis: 'rows' | 'columns', key, descending}, set by clicking a heatmap label
+
+/**
+ * Draws the selected outcomes × model combinations as a heatmap colored and labeled by the metric.
+ * Clicking a model label sorts the outcome rows by that model; clicking an outcome label sorts the
+ * model columns by that outcome. Clicking the same label again reverses the order.
+ * @param {Array<Object>} filteredData Rows with outcome, canonicalModelName and point_estimate.
+ * @param {Array<string>} requiredModels Canonical model names from generateModelCombinations.
+ * @param {string} metric 'c_index' or 'delta_c_index'.
+ */
+function updatePerformanceHeatmap(filteredData, requiredModels, metric) {
+    const chartElement = document.getElementById('performance-chart');
+    chartElement.innerHTML = '';
+
+    if (filteredData.length === 0) {
+        chartElement.innerHTML = `<div style="text-align: center; padding: 20px;">${t('performance.noData')}</div>`;
+        return;
+    }
+
+    const valueOf = {};
+    filteredData.forEach(item => {
+        valueOf[`${item.outcome}|${item.canonicalModelName}`] = parseFloat(item.point_estimate);
+    });
+    const diseaseOrder = Object.keys(diseaseMap);
+    let outcomes = [...new Set(filteredData.map(item => item.outcome))]
+        .sort((a, b) => diseaseOrder.indexOf(a) - diseaseOrder.indexOf(b));
+    let models = requiredModels
+        .filter(model => filteredData.some(item => item.canonicalModelName === model))
+        .sort((a, b) => a.split('+').length - b.split('+').length || a.localeCompare(b));
+
+    // Missing cells sort last whichever way the order runs
+    const byValue = (keyOf, descending) => (a, b) => {
+        const va = valueOf[keyOf(a)], vb = valueOf[keyOf(b)];
+        if (va === undefined || vb === undefined) return (va === undefined) - (vb === undefined);
+        return descending ? vb - va : va - vb;
+    };
+    if (heatmapSort && heatmapSort.axis === 'rows' && models.includes(heatmapSort.key)) {
+        outcomes.sort(byValue(outcome => `${outcome}|${heatmapSort.key}`, heatmapSort.descending));
+    } else if (heatmapSort && heatmapSort.axis === 'columns' && outcomes.includes(heatmapSort.key)) {
+        models.sort(byValue(model => `${heatmapSort.key}|${model}`, heatmapSort.descending));
+    }
+
+    const toggleSort = (axis, key) => {
+        const descending = !(heatmapSort && heatmapSort.axis === axis && heatmapSort.key === key && heatmapSort.descending);
+        heatmapSort = { axis, key, descending };
+        updatePerformanceHeatmap(filteredData, requiredModels, metric);
+        setLinkedHighlight(null);
+        chartElement.querySelector(`.heatmap-sort-label[data-sort-key="${key}"]`)?.focus();
+    };
+    // Labels sort on click, or on Enter or Space when focused with the keyboard
+    const makeSortLabel = (label, axis, key, name) => {
+        label.classList.add('heatmap-sort-label');
+        label.setAttribute('data-sort-key', key);
+        label.setAttribute('tabindex', '0');
+        label.setAttribute('role', 'button');
+        label.setAttribute('aria-label', t(axis === 'rows' ? 'performance.sortOutcomesBy' : 'performance.sortModelsBy', { name }));
+        label.addEventListener('click', () => toggleSort(axis, key));
+        label.addEventListener('keydown', event => {
+            if (event.key !== 'Enter' && event.key !== ' ') return;
+            event.preventDefault();
+            toggleSort(axis, key);
+        });
+    };
+
+    const margin = {top: 20, right: 110, bottom: 200, left: 200};
+    const cellHeight = 40;
+    const cellWidth = Math.max(70, (chartElement.offsetWidth - margin.left - margin.right) / models.length);
+    const chartRenderWidth = cellWidth * models.length;
+    const chartPlotHeight = cellHeight * outcomes.length;
+
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("width", chartRenderWidth + margin.left + margin.right);
+    svg.setAttribute("height", chartPlotHeight + margin.top + margin.bottom);
+    chartElement.appendChild(svg);
+    const metricName = getMetricName(metric);
+    describeChart(svg, t('performance.heatmapTitle', { metric: metricName }), `${t('performance.heatmapDescription', {
+        metric: metricName,
+        outcomes: t('performance.outcomeCount', { count: outcomes.length }),
+        models: t('performance.modelCount', { count: models.length })
+    })} ${describeBestPerformance(filteredData, metric)} ${t('performance.heatmapSortHint')} ${t('performance.valuesInTable')}`, true);
+
+    const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    g.setAttribute("transform", `translate(${margin.left}, ${margin.top})`);
+    svg.appendChild(g);
+
+    const xScale = d3_scalePoint().domain(models).range([0, chartRenderWidth]).padding(0.5);
+    createXAxis(g, xScale, models, chartPlotHeight, chartRenderWidth);
+    g.lastChild.querySelectorAll('text').forEach(text => makeSortLabel(text, 'rows', text.textContent, text.textContent));
+
+    const values = Object.values(valueOf);
+    const minValue = Math.min(...values);
+    const maxValue = Math.max(...values);
+    const isDelta = metric === 'delta_c_index';
+    const formatValue = value => (isDelta ? formatSigned(value) : formatNumber(value, 3));
+    const [lowColor, highColor] = ['#f7fbff', '#08519c'];
+
+    outcomes.forEach((outcome, rowIndex) => {
+        const y = rowIndex * cellHeight;
+
+        const label = document.createElementNS("http://www.w3.org/2000/svg", "text");
+        label.setAttribute("x", -10);
+        label.setAttribute("y", y + cellHeight / 2);
+        label.setAttribute("text-anchor", "end");
+        label.setAttribute("dominant-baseline", "middle");
+        label.textContent = diseaseMap[outcome] || outcome;
+        makeSortLabel(label, 'columns', outcome, label.textContent);
+        g.appendChild(label);
+
+        models.forEach(model => {
+            const value = valueOf[`${outcome}|${model}`];
+            if (value === undefined) return;
+            const shade = maxValue > minValue ? (value - minValue) / (maxValue - minValue) : 1;
+            const x = xScale(model) - cellWidth / 2;
+            const valueText = formatValue(value);
+            const cell = document.createElementNS("http://www.w3.org/2000/svg", "g");
+            cell.setAttribute("data-key", `${outcome}|${model}`);
+            cell.innerHTML = `<rect x="${x}" y="${y}" width="${cellWidth}" height="${cellHeight}" fill="${interpolateColor(lowColor, highColor, shade)}" stroke="#fff"><title>${diseaseMap[outcome] || outcome}, ${model}: ${valueText}</title></rect><text x="${x + cellWidth / 2}" y="${y + cellHeight / 2}" text-anchor="middle" dominant-baseline="middle" font-size="12px" fill="${shade > 0.6 ? '#fff' : '#000'}" pointer-events="none">${valueText}</text>`;
+            g.appendChild(cell);
+        });
+    });
+
+    // Color scale: the darkest shade is the highest value shown
+    const scaleHeight = Math.max(chartPlotHeight, 120);
+    const scaleX = chartRenderWidth + 20;
+    const gradientId = `${chartElement.id}-scale`;
+    const scale = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    scale.setAttribute("aria-hidden", "true");
+    scale.innerHTML = `<defs><linearGradient id="${gradientId}" x1="0" y1="1" x2="0" y2="0"><stop offset="0" stop-color="${lowColor}"></stop><stop offset="1" stop-color="${highColor}"></stop></linearGradient></defs>` +
+        `<rect x="${scaleX}" y="0" width="14" height="${scaleHeight}" fill="url(#${gradientId})" stroke="#ddd"></rect>`;
+    const scaleValues = maxValue > minValue ? [minValue, (minValue + maxValue) / 2, maxValue] : [maxValue];
+    scaleValues.forEach(value => {
+        const y = maxValue > minValue ? scaleHeight * (maxValue - value) / (maxValue - minValue) : 0;
+        scale.innerHTML += `<line x1="${scaleX + 14}" x2="${scaleX + 18}" y1="${y}" y2="${y}" stroke="black"></line><text x="${scaleX + 21}" y="${y}" dominant-baseline="middle" font-size="12px">${formatValue(value)}</text>`;
+    });
+    g.appendChild(scale);
+}
+
+/**
+ * Linearly interpolates between two hex colors.
+ * @param {string} from Color at fraction 0, e.g. '#f7fbff'.
+ * @param {string} to Color at fraction 1.
+ * @param {number} fraction Position between 0 and 1.
+ * @returns {string} The interpolated color as rgb().
+ */
+function interpolateColor(from, to, fraction) {
+    const channels = hex => [1, 3, 5].map(i => parseInt(hex.substring(i, i + 2), 16));
+    const a = channels(from);
+    const b = channels(to);
+    return `rgb(${a.map((c, i) => Math.round(c + (b[i] - c) * fraction)).join(',')})`;
 }
 
 function groupPerformanceData(filteredData) {
@@ -571,15 +3186,226 @@ function groupPerformanceData(filteredData) {
     const diseaseGroups = {};
     filteredData.forEach(item => {
         const modelName = item.canonicalModelName;
-        const diseaseName = diseaseMap[item.outcome] || item.outcome;
         if (!predictorDiseaseGroups[modelName]) predictorDiseaseGroups[modelName] = [];
         predictorDiseaseGroups[modelName].push(item);
-        if (!diseaseGroups[diseaseName]) diseaseGroups[diseaseName] = [];
-        diseaseGroups[diseaseName].push(item);
+        if (!diseaseGroups[item.outcome]) diseaseGroups[item.outcome] = [];
+        diseaseGroups[item.outcome].push(item);
     });
     return { predictorDiseaseGroups, diseaseGroups };
 }
 
+// --- Calibration and risk stratification ---
+// The bins and risk categories themselves (toCalibrationBins, stratifyCalibrationBins) are in cox-model.js.
+
+/**
+ * Collects the calibration bins of one outcome and model.
+ * @param {string} outcome The outcome code.
+ * @param {string} model The canonical model name (see canonicalizeModelName), e.g. 'PANEL+PRS'.
+ * @returns {Array<Object>} The bins in ascending order, as toCalibrationBins returns them.
+ */
+function getCalibrationBins(outcome, model) {
+    return toCalibrationBins((calibrationData || [])
+        .filter(row => row.outcome === outcome && canonicalizeModelName(mapModelName(row.model)) === model));
+}
+
+/**
+ * @returns {Array<string>} The labels of the risk categories, e.g. '<5%', '5%-10%', ..., '>20%'.
+ */
+function getRiskCategoryLabels() {
+    const bounds = RISK_CATEGORY_BOUNDS.map(formatPercentTick);
+    return [
+        t('calibration.below', { bound: bounds[0] }),
+        ...bounds.slice(1).map((bound, i) => t('calibration.between', { lower: bounds[i], upper: bound })),
+        t('calibration.above', { bound: bounds[bounds.length - 1] })
+    ];
+}
+
+/**
+ * Shows the calibration panel below the performance comparison for the outcomes selected there.
+ * The panel stays hidden while the manifest lists no calibration file.
+ * @param {Array<string>} outcomes The selected outcome codes.
+ * @param {string} model The canonical name of the model with all selected predictors.
+ */
+function updateCalibrationPanel(outcomes, model) {
+    const panel = document.getElementById('calibration-panel');
+    if (!modelManifest.files.calibration) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = '';
+    const binsByOutcome = {};
+    outcomes.forEach(code => {
+        const bins = getCalibrationBins(code, model);
+        if (bins.length > 0) binsByOutcome[code] = bins;
+    });
+    const shownOutcomes = Object.keys(diseaseMap).filter(code => binsByOutcome[code]);
+    const missingOutcomes = outcomes.filter(code => !binsByOutcome[code]);
+
+    let note = '';
+    if (!calibrationData) {
+        note = t('calibration.loadFailed', { file: modelManifest.files.calibration });
+    } else if (missingOutcomes.length > 0) {
+        note = t('calibration.missing', { model, outcomes: missingOutcomes.map(code => diseaseMap[code] || code).join(', ') });
+    }
+    const noteElement = document.getElementById('calibration-note');
+    noteElement.textContent = note;
+    noteElement.style.display = note ? '' : 'none';
+
+    drawRiskCategoryChart(shownOutcomes, binsByOutcome);
+    drawCalibrationChart(shownOutcomes, binsByOutcome);
+}
+
+/**
+ * Draws the share of patients in each predicted risk category as grouped bars, one bar per outcome.
+ * @param {Array<string>} outcomes The outcome codes to draw, in display order.
+ * @param {Object<string, Array<Object>>} binsByOutcome The calibration bins of each outcome.
+ */
+function drawRiskCategoryChart(outcomes, binsByOutcome) {
+    const chartElement = document.getElementById('risk-category-chart');
+    chartElement.innerHTML = '';
+    const labels = getRiskCategoryLabels();
+    const strata = outcomes.map(code => ({ code, categories: stratifyCalibrationBins(binsByOutcome[code]) }));
+    renderChartDataTable('risk-category-chart-data', strata.flatMap(({ code, categories }) =>
+        categories.map((category, i) => [diseaseMap[code] || code, labels[i], formatNumber(category.n), formatPercent(category.share)])));
+
+    if (outcomes.length === 0) {
+        chartElement.innerHTML = `<div style="text-align: center; padding: 20px;">${t('calibration.noData')}</div>`;
+        return;
+    }
+
+    const margin = {top: 60, right: 20, bottom: 80, left: 80};
+    const chartPlotHeight = 300;
+    const barWidth = Math.min(24, 120 / outcomes.length);
+    const chartRenderWidth = Math.max(chartElement.offsetWidth - margin.left - margin.right, labels.length * (outcomes.length * barWidth + 60));
+
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("width", chartRenderWidth + margin.left + margin.right);
+    svg.setAttribute("height", chartPlotHeight + margin.top + margin.bottom);
+    chartElement.appendChild(svg);
+    const topShare = ({ categories }) => categories[categories.length - 1].share;
+    const highest = strata.reduce((a, b) => topShare(b) > topShare(a) ? b : a);
+    const highestText = topShare(highest) > 0 ? ` ${t('calibration.highestCategory', {
+        bound: formatPercentTick(RISK_CATEGORY_BOUNDS[RISK_CATEGORY_BOUNDS.length - 1]),
+        outcome: getOutcomeNameInText(highest.code),
+        share: formatPercent(topShare(highest))
+    })}` : '';
+    describeChart(svg, t('calibration.categoryTitle'), `${t('calibration.categoryDescription', {
+        outcomes: t('performance.outcomeCount', { count: outcomes.length })
+    })}${highestText} ${t('calibration.valuesInTable')}`);
+
+    const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    g.setAttribute("transform", `translate(${margin.left}, ${margin.top})`);
+    svg.appendChild(g);
+
+    const yTicks = niceLinearTicks(0, Math.max(...strata.flatMap(({ categories }) => categories.map(category => category.share))));
+    const xScale = d3_scalePoint().domain(labels).range([0, chartRenderWidth]).padding(0.5);
+    const yScale = d3_scaleLinear().domain([0, yTicks[yTicks.length - 1]]).range([chartPlotHeight, 0]);
+
+    createXAxis(g, xScale, labels, chartPlotHeight, chartRenderWidth);
+    createYAxis(g, yScale, chartPlotHeight, chartRenderWidth, t('calibration.share'), yTicks, formatPercentTick);
+
+    const startOffset = -outcomes.length * barWidth / 2;
+    strata.forEach(({ code, categories }, index) => {
+        const diseaseName = diseaseMap[code] || code;
+        categories.forEach((category, i) => {
+            const bar = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+            bar.setAttribute("x", xScale(labels[i]) + startOffset + index * barWidth);
+            bar.setAttribute("y", yScale(category.share));
+            bar.setAttribute("width", barWidth - 2);
+            bar.setAttribute("height", chartPlotHeight - yScale(category.share));
+            bar.setAttribute("fill", diseaseColors[code] || '#000000');
+            bar.innerHTML = `<title>${diseaseName}, ${labels[i]}: ${formatPercent(category.share)} (${t('calibration.patientCount', { count: category.n, formatted: formatNumber(category.n) })})</title>`;
+            g.appendChild(bar);
+        });
+    });
+
+    drawLegend(svg, outcomes, chartRenderWidth + margin.left + margin.right);
+}
+
+/**
+ * Draws the observed against the mean predicted risk of each bin, one line per outcome, with the
+ * diagonal of perfect calibration for reference.
+ * @param {Array<string>} outcomes The outcome codes to draw, in display order.
+ * @param {Object<string, Array<Object>>} binsByOutcome The calibration bins of each outcome.
+ */
+function drawCalibrationChart(outcomes, binsByOutcome) {
+    const chartElement = document.getElementById('calibration-chart');
+    chartElement.innerHTML = '';
+    const formatInterval = bin => (bin.lower !== null && bin.upper !== null
+        ? t('performance.interval', { lower: formatPercent(bin.lower), upper: formatPercent(bin.upper) })
+        : t('common.notAvailable'));
+    renderChartDataTable('calibration-chart-data', outcomes.flatMap(code => binsByOutcome[code].map(bin => [
+        diseaseMap[code] || code, formatNumber(bin.bin), formatNumber(bin.n), formatPercent(bin.predicted), formatPercent(bin.observed), formatInterval(bin)
+    ])));
+
+    if (outcomes.length === 0) {
+        chartElement.innerHTML = `<div style="text-align: center; padding: 20px;">${t('calibration.noData')}</div>`;
+        return;
+    }
+
+    const margin = {top: 60, right: 40, bottom: 60, left: 80};
+    const chartPlotHeight = 350;
+    const chartRenderWidth = Math.max(chartElement.offsetWidth - margin.left - margin.right, 400);
+
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("width", chartRenderWidth + margin.left + margin.right);
+    svg.setAttribute("height", chartPlotHeight + margin.top + margin.bottom);
+    chartElement.appendChild(svg);
+    const largest = outcomes
+        .flatMap(code => binsByOutcome[code].map(bin => ({ code, ...bin })))
+        .reduce((a, b) => Math.abs(b.observed - b.predicted) > Math.abs(a.observed - a.predicted) ? b : a);
+    describeChart(svg, t('calibration.chartTitle'), `${t('calibration.chartDescription', {
+        outcomes: t('performance.outcomeCount', { count: outcomes.length })
+    })} ${t('calibration.largestDifference', {
+        outcome: getOutcomeNameInText(largest.code),
+        bin: formatNumber(largest.bin),
+        predicted: formatPercent(largest.predicted),
+        observed: formatPercent(largest.observed)
+    })} ${t('calibration.valuesInTable')}`);
+
+    const g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    g.setAttribute("transform", `translate(${margin.left}, ${margin.top})`);
+    svg.appendChild(g);
+
+    const values = outcomes.flatMap(code => binsByOutcome[code].flatMap(bin => [bin.predicted, bin.observed, bin.upper || 0]));
+    const ticks = niceLinearTicks(0, Math.max(...values));
+    const maxRisk = ticks[ticks.length - 1];
+    const xScale = d3_scaleLinear().domain([0, maxRisk]).range([0, chartRenderWidth]);
+    const yScale = d3_scaleLinear().domain([0, maxRisk]).range([chartPlotHeight, 0]);
+
+    createLinearXAxis(g, xScale, ticks, chartPlotHeight, chartRenderWidth, t('calibration.predicted'), formatPercentTick);
+    createYAxis(g, yScale, chartPlotHeight, chartRenderWidth, t('calibration.observed'), ticks, formatPercentTick);
+
+    const diagonal = document.createElementNS("http://www.w3.org/2000/svg", "line");
+    diagonal.setAttribute("x1", xScale(0));
+    diagonal.setAttribute("x2", xScale(maxRisk));
+    diagonal.setAttribute("y1", yScale(0));
+    diagonal.setAttribute("y2", yScale(maxRisk));
+    diagonal.setAttribute("stroke", "#777");
+    diagonal.setAttribute("stroke-dasharray", "4,3");
+    g.appendChild(diagonal);
+
+    outcomes.forEach(code => {
+        const diseaseName = diseaseMap[code] || code;
+        const color = diseaseColors[code] || '#000000';
+        const bins = binsByOutcome[code];
+        const el = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        const points = bins.map(bin => `${xScale(bin.predicted)},${yScale(bin.observed)}`).join(' ');
+        el.innerHTML = `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5"></polyline>` + bins.map(bin => {
+            const x = xScale(bin.predicted);
+            const interval = bin.lower !== null && bin.upper !== null
+                ? `<line x1="${x}" x2="${x}" y1="${yScale(bin.lower)}" y2="${yScale(bin.upper)}" stroke="${color}" stroke-width="1"></line>`
+                : '';
+            return `${interval}<circle cx="${x}" cy="${yScale(bin.observed)}" r="4" fill="${color}"><title>${diseaseName}, ${t('calibration.binTitle', {
+                bin: formatNumber(bin.bin), predicted: formatPercent(bin.predicted), observed: formatPercent(bin.observed)
+            })}</title></circle>`;
+        }).join('');
+        g.appendChild(el);
+    });
+
+    drawLegend(svg, outcomes, chartRenderWidth + margin.left + margin.right);
+}
+
 // --- SVG/D3-like drawing functions ---
 function d3_scaleLinear() { let d=[0,1], r=[0,1]; function s(v){return r[0]+(v-d[0])/(d[1]-d[0])*(r[1]-r[0])} s.domain=function(_){return arguments.length?(d=_,s):d}; s.range=function(_){return arguments.length?(r=_,s):r}; return s; }
 function d3_scalePoint() { let d=[], r=[0,1], p=0; function s(v){return r[0]+(r[1]-r[0])/(Math.max(1,d.length-1+p*2))*(d.indexOf(v)+p)} s.domain=function(_){return arguments.length?(d=_,s):d}; s.range=function(_){return arguments.length?(r=_,s):r}; s.padding=function(_){return arguments.length?(p=_,s):p}; return s; }
@@ -617,7 +3443,68 @@ function createXAxis(g, xScale, predictors, height, width) {
     });
 }
 
-function createYAxis(g, yScale, height, width, titleText) {
+function createLinearXAxis(g, xScale, ticks, height, width, titleText, tickFormat = tick => tick.toLocaleString(currentLocale)) {
+    const axis = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    axis.setAttribute("transform", `translate(0,${height})`);
+    g.appendChild(axis);
+
+    const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+    path.setAttribute("d", `M0,0H${width}`);
+    path.setAttribute("stroke", "black");
+    axis.appendChild(path);
+
+    ticks.forEach(tick => {
+        const x = xScale(tick);
+
+        const tickLine = document.createElementNS("http://www.w3.org/2000/svg", "line");
+        tickLine.setAttribute("x1", x);
+        tickLine.setAttribute("x2", x);
+        tickLine.setAttribute("y1", 0);
+        tickLine.setAttribute("y2", 6);
+        tickLine.setAttribute("stroke", "black");
+        axis.appendChild(tickLine);
+
+        const text = document.createElementNS("http://www.w3.org/2000/svg", "text");
+        text.setAttribute("x", x);
+        text.setAttribute("y", 18);
+        text.setAttribute("text-anchor", "middle");
+        text.textContent = tickFormat(tick);
+        axis.appendChild(text);
+    });
+
+    const title = document.createElementNS("http://www.w3.org/2000/svg", "text");
+    title.setAttribute("x", width / 2);
+    title.setAttribute("y", 45);
+    title.setAttribute("text-anchor", "middle");
+    title.setAttribute("font-weight", "bold");
+    title.textContent = titleText;
+    axis.appendChild(title);
+}
+
+/**
+ * Picks evenly spaced, round tick values covering [minValue, maxValue].
+ * @param {number} minValue The smallest value the axis has to show.
+ * @param {number} maxValue The largest value the axis has to show.
+ * @param {number} [targetCount=5] The approximate number of intervals.
+ * @returns {Array<number>} The tick values in ascending order.
+ */
+function niceLinearTicks(minValue, maxValue, targetCount = 5) {
+    if (!(maxValue > minValue)) return [minValue, minValue + 1];
+    const rawStep = (maxValue - minValue) / targetCount;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+    const first = Math.floor(minValue / step + 1e-9);
+    const last = Math.ceil(maxValue / step - 1e-9);
+    const ticks = [];
+    for (let i = first; i <= last; i++) ticks.push(parseFloat((i * step).toFixed(10)));
+    return ticks;
+}
+
+function formatPercentTick(tick) {
+    return new Intl.NumberFormat(currentLocale, { style: 'percent', maximumFractionDigits: 1 }).format(tick);
+}
+
+function createYAxis(g, yScale, height, width, titleText, ticks = [0.5, 0.6, 0.7, 0.8, 0.9, 1.0], tickFormat = tick => formatNumber(tick, 1)) {
     const axis = document.createElementNS("http://www.w3.org/2000/svg", "g");
     g.appendChild(axis);
 
@@ -633,10 +3520,8 @@ function createYAxis(g, yScale, height, width, titleText) {
     title.textContent = titleText;
     axis.appendChild(title);
 
-    const ticks = [0.5, 0.6, 0.7, 0.8, 0.9, 1.0];
-
-    ticks.forEach(t => {
-        const y = yScale(t);
+    ticks.forEach(tick => {
+        const y = yScale(tick);
 
         const gridLine = document.createElementNS("http://www.w3.org/2000/svg", "line");
         gridLine.setAttribute("x1", 0);
@@ -660,20 +3545,21 @@ function createYAxis(g, yScale, height, width, titleText) {
         tickText.setAttribute("y", y);
         tickText.setAttribute("text-anchor", "end");
         tickText.setAttribute("dominant-baseline", "middle");
-        tickText.textContent = t.toFixed(1);
+        tickText.textContent = tickFormat(tick);
         axis.appendChild(tickText);
     });
 }
-function drawErrorBarAndPoint(g, item, xScale, yScale, color) { const x=xScale(item.canonicalModelName)+(item.xOffset||0), y=yScale(item.point_estimate), yL=yScale(item.ci_lower), yH=yScale(item.ci_upper); const diseaseName = diseaseMap[item.outcome] || item.outcome; const el=document.createElementNS("http://www.w3.org/2000/svg","g"); el.innerHTML=`<line x1="${x}" x2="${x}" y1="${yL}" y2="${yH}" stroke="${color}" stroke-width="1.5"></line><line x1="${x-4}" x2="${x+4}" y1="${yH}" y2="${yH}" stroke="${color}" stroke-width="1.5"></line><line x1="${x-4}" x2="${x+4}" y1="${yL}" y2="${yL}" stroke="${color}" stroke-width="1.5"></line><circle cx="${x}" cy="${y}" r="5" fill="${color}"><title>${diseaseName}, ${item.mappedModelName}: ${parseFloat(item.point_estimate).toFixed(2)} (${parseFloat(item.ci_lower).toFixed(2)}-${parseFloat(item.ci_upper).toFixed(2)})</title></circle>`; g.appendChild(el); }
-function drawLegend(svg, orderedDiseases, colors, svgWidth) {
+function drawErrorBarAndPoint(g, item, xScale, yScale, color) { const x=xScale(item.canonicalModelName)+(item.xOffset||0), y=yScale(item.point_estimate), yL=yScale(item.ci_lower), yH=yScale(item.ci_upper); const diseaseName = diseaseMap[item.outcome] || item.outcome; const el=document.createElementNS("http://www.w3.org/2000/svg","g"); el.setAttribute("data-key", performanceKey(item)); el.innerHTML=`<line x1="${x}" x2="${x}" y1="${yL}" y2="${yH}" stroke="${color}" stroke-width="1.5"></line><line x1="${x-4}" x2="${x+4}" y1="${yH}" y2="${yH}" stroke="${color}" stroke-width="1.5"></line><line x1="${x-4}" x2="${x+4}" y1="${yL}" y2="${yL}" stroke="${color}" stroke-width="1.5"></line><circle cx="${x}" cy="${y}" r="5" fill="${color}"><title>${diseaseName}, ${item.mappedModelName}: ${formatNumber(parseFloat(item.point_estimate), 2)} (${formatNumber(parseFloat(item.ci_lower), 2)}-${formatNumber(parseFloat(item.ci_upper), 2)})</title></circle>`; g.appendChild(el); }
+function drawLegend(svg, orderedOutcomes, svgWidth) {
     const legend = document.createElementNS("http://www.w3.org/2000/svg","g");
     const legendItems = [];
     let totalLegendWidth = 0;
 
-    orderedDiseases.forEach(d => {
-        const textWidth = d.length * 7;
+    orderedOutcomes.forEach(code => {
+        const name = diseaseMap[code] || code;
+        const textWidth = name.length * 7;
         const itemWidth = 20 + textWidth + 25;
-        legendItems.push({ text: d, color: colors[d] || '#000', width: itemWidth });
+        legendItems.push({ text: name, color: diseaseColors[code] || '#000', width: itemWidth });
         totalLegendWidth += itemWidth;
     });
 
@@ -0,0 +1,196 @@
+// Service worker: keeps the application and its data files available offline after the first visit.
+//
+// The application shell is served network first and falls back to its cache offline, so every visit online
+// picks up the current page, scripts and styles. The data files (the model manifest and every CSV it lists)
+// live in a separate cache that is only replaced when the user asks for an update from the page, which also
+// downloads the shell again, so a clinic keeps using the data it has until it chooses otherwise.
+// Each download goes into a new data cache, which takes over once it is complete (see refreshData).
+
+const SHELL_CACHE = 'cardiomicscore-shell';
+const DATA_CACHE_PREFIX = 'cardiomicscore-data'; // Data caches are named DATA_CACHE_PREFIX-<download time>
+const MODEL_MANIFEST_PATH = 'model_manifest.json';
+const DATA_INFO_PATH = 'cached-data-info.json'; // Synthetic entry of a data cache describing its content; written last
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'i18n.js',
+    'locales/en.js',
+    'locales/de.js',
+    'cox-model.js',
+    'scripts.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+/**
+ * Lists the data files a model manifest refers to: its own files and those of every model set.
+ * @param {Object} manifest The parsed model_manifest.json.
+ * @returns {Array<string>} The file paths, the manifest included.
+ */
+function listDataFiles(manifest) {
+    const files = [MODEL_MANIFEST_PATH, ...Object.values(manifest.files || {})];
+    [...(manifest.modelSets || []), ...(manifest.reducedModels || [])].forEach(modelSet => {
+        files.push(...Object.values(modelSet.files || {}));
+    });
+    return Array.from(new Set(files));
+}
+
+// The shell files as absolute URLs, for telling their requests apart from those for data files
+const SHELL_URLS = SHELL_FILES.map(file => new URL(file, self.location).href);
+
+async function fetchFresh(path) {
+    const response = await fetch(path, { cache: 'reload' });
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status} for file ${path}`);
+    }
+    return response;
+}
+
+/**
+ * Finds the data cache in use: the newest one holding DATA_INFO_PATH, i.e. whose download completed.
+ * @returns {Promise<string|null>} Its name, or null if no download has completed yet.
+ */
+async function findDataCache() {
+    const names = (await caches.keys()).filter(name => name.startsWith(DATA_CACHE_PREFIX)).reverse();
+    for (const name of names) {
+        const cache = await caches.open(name);
+        if (await cache.match(DATA_INFO_PATH)) return name;
+    }
+    return null;
+}
+
+/**
+ * Downloads the model manifest and all its data files into a new data cache, then deletes the older ones.
+ * The new cache only takes over once every file is downloaded and stored, so a failed update leaves the
+ * previous data intact, and files a newer manifest no longer lists are dropped with the old cache.
+ * @returns {Promise<Object>} The description of the new cached data (see getDataInfo).
+ */
+async function refreshData() {
+    const manifestResponse = await fetchFresh(MODEL_MANIFEST_PATH);
+    const manifest = await manifestResponse.clone().json();
+    const files = listDataFiles(manifest);
+    const responses = await Promise.all(files.map(file => file === MODEL_MANIFEST_PATH ? manifestResponse : fetchFresh(file)));
+
+    const info = {
+        updated: new Date().toISOString(),
+        versions: (manifest.modelSets || []).map(modelSet => ({ version: modelSet.version, label: modelSet.label })),
+        files
+    };
+    const name = `${DATA_CACHE_PREFIX}-${Date.now()}`;
+    const cache = await caches.open(name);
+    try {
+        await Promise.all(files.map((file, index) => cache.put(file, responses[index])));
+        await cache.put(DATA_INFO_PATH, new Response(JSON.stringify(info), { headers: { 'Content-Type': 'application/json' } }));
+    } catch (error) {
+        await caches.delete(name);
+        throw error;
+    }
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(other => other.startsWith(DATA_CACHE_PREFIX) && other !== name)
+        .map(other => caches.delete(other)));
+    return info;
+}
+
+/**
+ * Downloads every shell file again, bypassing the HTTP cache, and stores them once all have arrived,
+ * so a failed download leaves the cached shell intact.
+ */
+async function refreshShell() {
+    const responses = await Promise.all(SHELL_FILES.map(fetchFresh));
+    const cache = await caches.open(SHELL_CACHE);
+    await Promise.all(SHELL_FILES.map((file, index) => cache.put(file, responses[index])));
+}
+
+/**
+ * @returns {Promise<Object|null>} The cached data's {updated, versions, files}, or null if nothing is cached yet.
+ */
+async function getDataInfo() {
+    const name = await findDataCache();
+    if (!name) return null;
+    const cache = await caches.open(name);
+    const response = await cache.match(DATA_INFO_PATH);
+    return response.json();
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        await refreshShell();
+        if (!(await getDataInfo())) await refreshData();
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('cardiomicscore-shell-')) // Versioned shell caches of earlier releases
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Answers a shell request from the network and keeps the response in the shell cache; the cached copy
+ * answers only when the network fails.
+ * @param {Request} request The request for a shell file.
+ * @returns {Promise<Response>}
+ */
+async function respondNetworkFirst(request) {
+    let response = null;
+    try {
+        response = await fetch(request);
+    } catch (error) {
+        // Offline: the cached copy answers below
+    }
+    if (response && response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+        return response;
+    }
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || response || Response.error();
+}
+
+/**
+ * Answers a data request from the caches. Other same-origin files are fetched and added to the data
+ * cache, so they are available offline from then on.
+ * @param {Request} request The request for any other same-origin file.
+ * @returns {Promise<Response>}
+ */
+async function respondCacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open((await findDataCache()) || DATA_CACHE_PREFIX);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Network first for the shell, so a new release takes effect on the next visit online; cache first for the data,
+// which only changes when the user asks for an update.
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    const isShell = request.mode === 'navigate' || SHELL_URLS.includes(url.origin + url.pathname);
+    event.respondWith(isShell ? respondNetworkFirst(request) : respondCacheFirst(request));
+});
+
+// Requests from the page arrive with a MessageChannel port for the reply: {type: 'get-data-info'} answers
+// {ok, info}, and {type: 'update-data'} downloads the shell and the data again and answers {ok, info} or {ok: false, error}.
+self.addEventListener('message', event => {
+    const port = event.ports[0];
+    if (!port) return;
+    const type = event.data && event.data.type;
+    const task = type === 'update-data' ? refreshShell().then(refreshData) : getDataInfo();
+    event.waitUntil(task
+        .then(info => port.postMessage({ ok: true, info }))
+        .catch(error => port.postMessage({ ok: false, error: error.message })));
+});
@@ -0,0 +1,82 @@
+/**
+ * Checks the calibration file schema and the risk stratification against the synthetic bins in
+ * test/fixtures/calibration.csv, which stand in for real calibration data.
+ *
+ *     node --test test/
+ */
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const {
+    RISK_CATEGORY_BOUNDS, parseCSVTable, validateCSVTable, toCalibrationBins, getRiskCategory, stratifyCalibrationBins
+} = require('../cox-model.js');
+
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'calibration.csv'), 'utf8');
+const table = parseCSVTable(fixture);
+const panelRows = table.rows.filter(row => row.outcome === 'cad' && row.model === 'PANEL');
+
+/**
+ * Validates the fixture with one line replaced.
+ * @param {number} line The 1-based line number; 1 is the header.
+ * @param {string} text The replacement line.
+ * @returns {Array<{line: (number|undefined), message: string}>} The problems found.
+ */
+function validateWithLine(line, text) {
+    const lines = fixture.split('\n');
+    lines[line - 1] = text;
+    return validateCSVTable('calibration', parseCSVTable(lines.join('\n')));
+}
+
+test('accepts the calibration fixture', () => {
+    assert.deepStrictEqual(validateCSVTable('calibration', table), []);
+});
+
+test('reads the bins of one outcome and model in order', () => {
+    const bins = toCalibrationBins(panelRows);
+    assert.deepStrictEqual(bins.map(bin => bin.bin), [1, 2, 3, 4, 5, 6]);
+    assert.deepStrictEqual(bins[0], { bin: 1, n: 100, predicted: 0.03, observed: 0.02, lower: 0, upper: 0.047 });
+    assert.strictEqual(bins[5].lower, null);
+    assert.strictEqual(bins[5].upper, null);
+});
+
+test('puts a risk equal to a bound into the category above it', () => {
+    assert.strictEqual(RISK_CATEGORY_BOUNDS.length, 3);
+    assert.deepStrictEqual([0, 0.0499, 0.05, 0.0999, 0.10, 0.1999, 0.20, 1].map(getRiskCategory), [0, 0, 1, 1, 2, 2, 3, 3]);
+});
+
+test('counts the patients of each risk category', () => {
+    const categories = stratifyCalibrationBins(toCalibrationBins(panelRows));
+    assert.deepStrictEqual(categories.map(category => category.n), [100, 500, 350, 50]);
+    assert.deepStrictEqual(categories.map(category => category.share), [0.1, 0.5, 0.35, 0.05]);
+    assert.deepStrictEqual(stratifyCalibrationBins([]), [0, 0, 0, 0].map(n => ({ n, share: 0 })));
+});
+
+test('rejects a bin listed twice', () => {
+    const problems = validateWithLine(3, 'cad,PANEL,3,100,0.0300,0.0200,0.0000,0.0470');
+    assert.deepStrictEqual(problems.map(p => p.line), [3]);
+    assert.match(problems[0].message, /Bin 3 of "PANEL" for "cad" is listed twice \(also on line 2\)/);
+});
+
+test('rejects a negative patient count', () => {
+    const problems = validateWithLine(3, 'cad,PANEL,1,-100,0.0300,0.0200,0.0000,0.0470');
+    assert.deepStrictEqual(problems.map(p => [p.line, p.message]), [[3, 'The patient count -100 is negative.']]);
+});
+
+test('rejects risks outside 0-1', () => {
+    const problems = validateWithLine(3, 'cad,PANEL,1,100,1.3000,0.0200,0.0000,-0.0470');
+    assert.deepStrictEqual(problems.map(p => p.line), [3, 3]);
+    assert.match(problems[0].message, /"predicted_risk" holds 1\.3000/);
+    assert.match(problems[1].message, /"observed_ci_upper" holds -0\.0470/);
+});
+
+test('rejects a missing column, a blank cell and a value that is not a number', () => {
+    const header = 'outcome,model,bin,n,predicted_risk,observed_ci_lower,observed_ci_upper';
+    assert.deepStrictEqual(validateWithLine(1, header).map(p => p.message),
+        ['Required column(s) missing from the header: observed_risk.']);
+    assert.deepStrictEqual(validateWithLine(3, 'cad,PANEL,1,,0.0300,0.0200,0.0000,0.0470').map(p => p.message),
+        ['Column "n" is empty.']);
+    assert.deepStrictEqual(validateWithLine(3, 'cad,PANEL,1,many,0.0300,0.0200,0.0000,0.0470').map(p => p.message),
+        ['Column "n" holds "many", which is not a number.']);
+});
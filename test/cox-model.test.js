@@ -0,0 +1,118 @@
+/**
+ * Checks the scoring engine against reference predictions computed independently from the shipped CSV files.
+ *
+ *     node --test test/
+ */
+
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const { createCoxModelFromCSV, compareModels } = require('../cox-model.js');
+
+const readDataFile = name => fs.readFileSync(path.join(__dirname, '..', name), 'utf8');
+
+const model = createCoxModelFromCSV({
+    coefficients: readDataFile('coefficients.csv'),
+    baselineSurvivals: readDataFile('baseline_survivals.csv'),
+    panelScalerParams: readDataFile('PANEL_scaler_params.csv'),
+    percentiles: readDataFile('percentiles.csv')
+});
+
+// A second model version: the CAD coefficient of `prs` is raised by 0.05 and `healthy_diet_1.0` is dropped from CAD
+const revisedModel = createCoxModelFromCSV({
+    coefficients: readDataFile('test/fixtures/coefficients-v1.1.csv'),
+    baselineSurvivals: readDataFile('baseline_survivals.csv'),
+    panelScalerParams: readDataFile('PANEL_scaler_params.csv'),
+    percentiles: readDataFile('percentiles.csv')
+});
+
+const PATIENT = {
+    age: 60, sbp: 140, dbp: 85, height: 170, weight: 80, waist_cir: 95, waist_hip_ratio: 0.95, bmi: 27.7,
+    baso: 0.03, eos: 0.15, hct: 42, hb: 14.5, lc: 2.0, mc: 0.5, nc: 4.2, plt: 240, wbc: 7.0,
+    townsend: 40, prs: 80, metscore: 65, proscore: 70, ethnicity: 0,
+    'male_1.0': 1, 'current_smoking_1.0': 1, 'daily_drinking_1.0': 0, 'healthy_sleep_1.0': 1, 'physical_act_1.0': 0,
+    'healthy_diet_1.0': 0, 'social_active_1.0': 1, 'family_heart_hist_1.0': 1, 'family_stroke_hist_1.0': 0,
+    'family_hypt_hist_1.0': 1, 'family_diab_hist_1.0': 0, 'diab_hist_1.0': 0, 'hypt_hist_1.0': 1,
+    'lipidlower_1.0': 0, 'antihypt_1.0': 1
+};
+
+// Linear predictor and 10-year risk of PATIENT, from LP = sum of coefficient * input and risk = 1 - S0(10)^exp(LP)
+const REFERENCE_PREDICTIONS = {
+    cad: { linearPredictor: 2.031756, risk: 0.261389 },
+    stroke: { linearPredictor: 1.376985, risk: 0.048215 },
+    hf: { linearPredictor: 1.984081, risk: 0.090910 },
+    af: { linearPredictor: 2.026867, risk: 0.194497 },
+    pad: { linearPredictor: 1.741587, risk: 0.035226 },
+    vte: { linearPredictor: 1.349237, risk: 0.058764 }
+};
+
+const TOLERANCE = 1e-6;
+
+Object.entries(REFERENCE_PREDICTIONS).forEach(([outcome, reference]) => {
+    test(`predicts the reference 10-year risk for ${outcome}`, () => {
+        const result = model.predict(PATIENT, outcome, 10);
+        assert.deepStrictEqual(result.errors, []);
+        assert.ok(Math.abs(result.linearPredictor - reference.linearPredictor) < TOLERANCE,
+            `linear predictor ${result.linearPredictor}, expected ${reference.linearPredictor}`);
+        assert.ok(Math.abs(result.risk - reference.risk) < TOLERANCE, `risk ${result.risk}, expected ${reference.risk}`);
+        const total = result.contributions.reduce((sum, c) => sum + c.contribution, 0);
+        assert.ok(Math.abs(total - result.linearPredictor) < 1e-9);
+    });
+});
+
+test('interpolates fractional percentiles between the tabulated ones', () => {
+    const lower = model.percentileToScore('cad', 'prs', 80);
+    const upper = model.percentileToScore('cad', 'prs', 81);
+    assert.ok(Math.abs(model.percentileToScore('cad', 'prs', 80.5) - (lower + upper) / 2) < 1e-12);
+});
+
+test('places a raw score in the distribution of each outcome', () => {
+    const raw = model.percentileToScore('cad', 'prs', 80);
+    Object.keys(REFERENCE_PREDICTIONS).forEach(outcome => {
+        const { percentile, outOfRange } = model.scoreToPercentile(outcome, 'prs', raw);
+        assert.strictEqual(outOfRange, null);
+        const fromRaw = model.predict({ ...PATIENT, rawScores: { prs: { value: raw } } }, outcome, 10);
+        const fromPercentile = model.predict({ ...PATIENT, prs: percentile }, outcome, 10);
+        assert.deepStrictEqual(fromRaw.errors, []);
+        assert.ok(Math.abs(fromRaw.risk - fromPercentile.risk) < 1e-9, `${outcome}: risk ${fromRaw.risk}, expected ${fromPercentile.risk}`);
+    });
+    // The same raw score lies at a different percentile of the stroke score than of the CAD score
+    assert.ok(Math.abs(model.scoreToPercentile('stroke', 'prs', raw).percentile - 80) > 1);
+});
+
+test('reports a missing variable', () => {
+    const { sbp, ...patient } = PATIENT;
+    const result = model.predict(patient, 'cad', 10);
+    assert.strictEqual(result.risk, null);
+    assert.deepStrictEqual(result.errors.map(e => [e.code, e.variable]), [['MISSING_INPUT', 'sbp']]);
+});
+
+test('reports a percentile outside the table', () => {
+    const result = model.predict({ ...PATIENT, prs: 150 }, 'cad', 10);
+    assert.strictEqual(result.risk, null);
+    assert.deepStrictEqual(result.errors.map(e => [e.code, e.variable]), [['MISSING_PERCENTILE', 'prs']]);
+});
+
+test('reports an unknown outcome', () => {
+    const result = model.predict(PATIENT, 'gout', 10);
+    assert.strictEqual(result.risk, null);
+    assert.deepStrictEqual(result.errors.map(e => [e.code, e.variable]), [['MISSING_COEFFICIENTS', null]]);
+});
+
+test('compares the predictions and coefficients of two model versions', () => {
+    const { predictions, coefficients } = compareModels([model, revisedModel], PATIENT, 'cad', 10);
+    assert.ok(Math.abs(predictions[0].risk - REFERENCE_PREDICTIONS.cad.risk) < TOLERANCE);
+
+    const byVariable = Object.fromEntries(coefficients.map(c => [c.variable, c]));
+    assert.ok(Math.abs(byVariable.prs.differences[0] - 0.05) < TOLERANCE);
+    assert.deepStrictEqual(byVariable['healthy_diet_1.0'].differences, [null]);
+    assert.strictEqual(byVariable['healthy_diet_1.0'].values[1], undefined);
+    assert.deepStrictEqual(coefficients.filter(c => c.changed).map(c => c.variable).sort(), ['healthy_diet_1.0', 'prs']);
+
+    // The patient has no healthy diet, so only the PRS term moves the linear predictor
+    const prsInput = predictions[0].contributions.find(c => c.variable === 'prs').input;
+    const shift = predictions[1].linearPredictor - predictions[0].linearPredictor;
+    assert.ok(Math.abs(shift - byVariable.prs.differences[0] * prsInput) < 1e-9);
+    assert.ok(predictions[1].risk > predictions[0].risk);
+});